@@ -12,47 +12,61 @@
    =============================== */
 const MACHINE_COL_WIDTH = 220;
 const GRAPH_ROW_HEIGHT = 120;
+// Vertical spacing between waypoints of long links passing through a column
+const WAYPOINT_LANE_GAP = 28;
 const GRAPH_LABEL_OFFSET = 40;
 const GRAPH_CONTENT_PAD = 64;
 
-const MACHINE_COLORS = {
-  "Smelter":      "#e67e22",
-  "Furnace":      "#d63031",
-  "Fabricator":   "#0984e3",
-  "Mega Press":   "#6c5ce7",
-  "Assembler":    "#00b894",
-  "Refinery":     "#e84393",
-  "Compounder":   "#00cec9",
-  "Pyro Forge":   "#a55eea"
-};
+// Graph fill for supplied (imported) items
+const IMPORT_NODE_COLOR = "#7fdbca";
 
-const SPECIAL_EXTRACTORS = {
-  "Helium-3": 240,
-  "Goethite Ore": 400,
-  "Sulphur Ore": 240
-};
+const DEFAULT_DISPLAY_DECIMALS = 2;
 
 const DRAG_THRESHOLD_PX = 8;
 const TOUCH_THRESHOLD_PX = 12;
 const PULSE_PROPAGATION_DEPTH = 1;
 const PULSE_STAGGER_MS = 90;
 
-const FORCED_RAW_ORES = ['Calcium Ore', 'Titanium Ore', 'Wolfram Ore'];
-const LEFT_OF_CONSUMER_RAWS = ['Helium-3', 'Sulphur Ore'];
-const BBM_ID = 'Basic Building Material';
-
 /* ===============================
    Globals
    =============================== */
-let RECIPES = {};
-let TIERS = {};
+// RECIPES, TIERS and RECIPE_CYCLES are declared in calc.js
+let RECIPE_CHOICES = {};
+// Report of the plan currently on screen (see buildPlanReport); used by the Export menu
+let LAST_PLAN_REPORT = null;
+// Locally edited recipe entries layered over the shipped data ({ item: entry })
+let RECIPE_OVERRIDES = {};
+// Parsed data/datasets.json and the dataset currently loaded ({ id, version })
+let DATASETS = null;
+let ACTIVE_DATASET = null;
+// Graph node picked for inspection ({ id, direction: 'upstream' | 'downstream' }); kept across recalculation
+let GRAPH_SELECTION = null;
+// Items whose supply subtree is folded into them (graph and table), and the folds last drawn (see foldSubtrees)
+const COLLAPSED_NODES = new Set();
+let LAST_FOLDS = {};
 
 /* ===============================
    Utilities
    =============================== */
 function escapeHtml(str) {
-  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+function formatNumber(n, decimals = getDisplayDecimals()) {
+  return formatFixed(n, decimals);
+}
+
+function getDisplayDecimals() {
+  const stored = (typeof localStorage !== 'undefined') ? localStorage.getItem('displayDecimals') : null;
+  const v = parseInt(stored ?? DEFAULT_DISPLAY_DECIMALS, 10);
+  return Number.isFinite(v) ? Math.min(4, Math.max(0, v)) : DEFAULT_DISPLAY_DECIMALS;
+}
+
+// Flow-rate and rail labels on the graph; hidden on request for dense plans
+function getShowFlowLabels() {
+  return (typeof localStorage === 'undefined') || localStorage.getItem('flowLabels') !== 'off';
 }
+
 function getTextColor(bg) {
   if (!bg || bg[0] !== "#") return "#000000";
   const r = parseInt(bg.substr(1, 2), 16);
@@ -192,283 +206,127 @@ function showToast(message) {
 })();
 
 /* ===============================
-   Data loading & recipe helpers
-   - loadRecipes: data-only, returns RECIPES and TIERS
+   Data loading
+   - loadRecipes: fetches the selected dataset and installs it via setRecipes (calc.js)
+   - data/datasets.json lists the datasets (one per game version); the choice is kept in localStorage
    =============================== */
+const REMOTE_BASE_URL = "https://srcraftingcalculations.github.io/sr-crafting-calculator/";
+const DATASET_KEY = 'dataset';
+const DEFAULT_DATASETS = { default: "stable", datasets: [{ id: "stable", label: "Stable", file: "data/recipes.json" }] };
+
 async function fetchJson(url) {
   const resp = await fetch(url, { cache: "no-store" });
   if (!resp.ok) throw new Error(`Fetch failed: ${url} (${resp.status})`);
   return resp.json();
 }
 
-async function loadRecipes() {
-  const localPath = "data/recipes.json";
-  const remotePath = "https://srcraftingcalculations.github.io/sr-crafting-calculator/data/recipes.json";
-
-  let data = null;
+// Local file first, then the published copy of the same path
+async function fetchDataFile(relPath) {
   try {
-    data = await fetchJson(localPath);
-    console.info("Loaded recipes from local data/recipes.json");
+    return await fetchJson(relPath);
   } catch (localErr) {
-    console.warn("Local recipes.json not found or failed to load, falling back to remote:", localErr);
-    try {
-      data = await fetchJson(remotePath);
-      console.info("Loaded recipes from remote URL");
-    } catch (remoteErr) {
-      console.error("Failed to load recipes from remote URL as well:", remoteErr);
-      const out = document.getElementById("outputArea");
-      if (out) out.innerHTML = `<p style="color:red;">Error loading recipe data. Please try again later.</p>`;
-      return {};
-    }
+    console.warn(`Local ${relPath} not found or failed to load, falling back to remote:`, localErr);
+    return fetchJson(REMOTE_BASE_URL + relPath);
   }
+}
 
-  if (!data || typeof data !== "object") {
-    console.error("Invalid recipe data format");
-    return {};
+// FNV-1a over the shipped JSON; identifies a dataset revision when the manifest gives no version
+function fingerprintData(data) {
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
 
-  // Assign RECIPES and compute TIERS purely in memory
-  RECIPES = data;
-  TIERS = {};
-
-  for (const [name, recipe] of Object.entries(RECIPES)) {
-    if (typeof recipe?.tier === "number") TIERS[name] = recipe.tier;
-    else TIERS[name] = 0;
-  }
-
-  // propagate tiers until stable (bounded passes)
-  let changed = true;
-  for (let pass = 0; pass < 50 && changed; pass++) {
-    changed = false;
-    for (const [name, recipe] of Object.entries(RECIPES)) {
-      if (!recipe || !recipe.inputs) continue;
-      let maxInputTier = -1;
-      for (const inputName of Object.keys(recipe.inputs)) {
-        const t = TIERS[inputName] ?? 0;
-        if (t > maxInputTier) maxInputTier = t;
-      }
-      const newTier = (maxInputTier >= 0) ? (maxInputTier + 1) : 1;
-      if (TIERS[name] !== newTier) {
-        TIERS[name] = newTier;
-        changed = true;
-      }
-    }
+async function loadDatasetManifest() {
+  if (DATASETS) return DATASETS;
+  try {
+    const manifest = await fetchDataFile("data/datasets.json");
+    const datasets = (Array.isArray(manifest?.datasets) ? manifest.datasets : [])
+      .filter(d => d && typeof d.id === "string" && typeof d.file === "string");
+    if (!datasets.length) throw new Error("datasets.json lists no datasets");
+    DATASETS = { default: manifest.default, datasets };
+  } catch (err) {
+    console.warn("Dataset list unavailable, using the built-in default:", err);
+    DATASETS = DEFAULT_DATASETS;
   }
-
-  // Ensure BBM exists and is at least 0
-  TIERS[BBM_ID] = TIERS[BBM_ID] ?? 0;
-
-  window.RECIPES = RECIPES;
-  window.TIERS = TIERS;
-  console.info("Recipes loaded:", Object.keys(RECIPES).length, "items");
-  return RECIPES;
+  return DATASETS;
 }
 
-/* ===============================
-   Expand production chain
-   =============================== */
-function getRecipe(name) {
-  return RECIPES[name] || null;
+function findDataset(id) {
+  return (DATASETS || DEFAULT_DATASETS).datasets.find(d => d.id === id) || null;
 }
 
-function expandChain(item, targetRate) {
-  const chain = {};
-  const machineTotals = {};
-  const extractorTotals = {};
-  const pending = {};
-  const processed = {};
-  const queue = [];
-
-  function trackExtractor(name, rate) {
-    extractorTotals[name] = (extractorTotals[name] || 0) + rate;
-  }
-
-  function enqueue(name, rate) {
-    const recipe = getRecipe(name);
-    if (!recipe) {
-      trackExtractor(name, rate);
-      if (!chain[name]) {
-        chain[name] = { rate, raw: true, building: "RAW", machines: 0, inputs: {} };
-      } else {
-        chain[name].rate += rate;
-      }
-      return;
-    }
-    pending[name] = (pending[name] || 0) + rate;
-    if (!processed[name]) queue.push(name);
-  }
-
-  enqueue(item, targetRate);
-
-  while (queue.length > 0) {
-    queue.sort((a, b) => (TIERS[b] ?? 0) - (TIERS[a] ?? 0));
-    const current = queue.shift();
-    if (processed[current]) continue;
-    processed[current] = true;
-
-    const rate = pending[current];
-    const recipe = getRecipe(current);
-    if (!recipe) {
-      trackExtractor(current, rate);
-      continue;
-    }
-
-    const craftsPerMin = rate / recipe.output;
-    const outputPerMinPerMachine = (recipe.output * 60) / recipe.time;
-    const machines = Math.ceil(rate / outputPerMinPerMachine);
-
-    chain[current] = {
-      rate,
-      raw: false,
-      building: recipe.building,
-      machines,
-      inputs: {}
-    };
-
-    machineTotals[recipe.building] = (machineTotals[recipe.building] || 0) + machines;
-
-    for (const [input, qty] of Object.entries(recipe.inputs)) {
-      const inputRate = craftsPerMin * qty;
-      chain[current].inputs[input] = inputRate;
-      enqueue(input, inputRate);
-    }
-  }
-
-  return { chain, machineTotals, extractorTotals };
+function selectedDatasetId() {
+  const manifest = DATASETS || DEFAULT_DATASETS;
+  const stored = localStorage.getItem(DATASET_KEY);
+  if (stored && findDataset(stored)) return stored;
+  return findDataset(manifest.default) ? manifest.default : manifest.datasets[0].id;
 }
 
-/* ===============================
-   Depth computation & graph data
-   =============================== */
-function computeDepthsFromTiers(chain, rootItem) {
-  const depths = {};
-  const MAX_PASSES = 6;
-
-  // Helper: initialize base depths from TIERS (no +1)
-  function initBaseDepths() {
-    for (const item of Object.keys(chain || {})) {
-      const tableLevel = Number(TIERS?.[item] ?? 0);
-      depths[item] = Number.isFinite(tableLevel) ? Math.floor(tableLevel) : 0;
-    }
-
-    // Raw defaults
-    for (const item of Object.keys(chain || {})) {
-      if (chain[item].raw) {
-        if (FORCED_RAW_ORES.includes(item)) depths[item] = 0;
-        else if (!(item in TIERS)) depths[item] = 0;
-      }
-    }
-
-    // Heuristic: items whose inputs are all raw -> depth 0
-    for (const [item, data] of Object.entries(chain || {})) {
-      const inputs = data.inputs || {};
-      const inputNames = Object.keys(inputs);
-      if (inputNames.length > 0) {
-        const allInputsRaw = inputNames.every(inName => {
-          const inNode = chain[inName];
-          return !!(inNode && inNode.raw);
-        });
-        if (allInputsRaw) depths[item] = 0;
-      }
-    }
-
-    // Normalize
-    for (const k of Object.keys(depths)) {
-      let v = Number(depths[k]);
-      if (!Number.isFinite(v) || isNaN(v)) v = 0;
-      depths[k] = Math.max(0, Math.floor(v));
-    }
-  }
-
-  // Helper: compute earliest consumer depth for a given raw name
-  function earliestConsumerDepth(rawName) {
-    let min = Infinity;
-    for (const [consumerName, consumerData] of Object.entries(chain || {})) {
-      const inputs = consumerData.inputs || {};
-      if (Object.prototype.hasOwnProperty.call(inputs, rawName)) {
-        const d = Number(depths[consumerName] ?? (Number(TIERS?.[consumerName] ?? 0)));
-        if (Number.isFinite(d) && d < min) min = d;
-      }
-    }
-    return min;
-  }
-
-  // Start with base depths
-  initBaseDepths();
-
-  // Iteratively apply raw-placement and optional shifting until stable or max passes
-  for (let pass = 0; pass < MAX_PASSES; pass++) {
-    const prev = {};
-    for (const k of Object.keys(depths)) prev[k] = depths[k];
-
-    // 1) Place LEFT_OF_CONSUMER_RAWS one column left of earliest consumer (if any)
-    for (const rawName of LEFT_OF_CONSUMER_RAWS) {
-      if (!(rawName in chain)) continue;
-      const minConsumer = earliestConsumerDepth(rawName);
-      if (minConsumer === Infinity) {
-        // no consumer in this chain — keep existing or default 0
-        depths[rawName] = Math.max(0, depths[rawName] ?? 0);
-      } else {
-        // place raw immediately left of earliest consumer
-        const target = Math.max(0, Math.floor(minConsumer) - 1);
-        depths[rawName] = target;
-      }
-    }
+function datasetLabel(dataset) {
+  const entry = findDataset(dataset?.id);
+  const label = entry?.label || dataset?.id || "unknown dataset";
+  return dataset?.version ? `${label} (${dataset.version})` : label;
+}
 
-    // 2) For any raw that exists only because it's an input (i.e., present but not a table item),
-    //    ensure it sits immediately left of its earliest consumer as well.
-    for (const item of Object.keys(chain || {})) {
-      if (!chain[item].raw) continue;
-      // If this raw has consumers, place it left of earliest consumer
-      const minConsumer = earliestConsumerDepth(item);
-      if (minConsumer !== Infinity) {
-        depths[item] = Math.max(0, Math.floor(minConsumer) - 1);
-      } else {
-        // otherwise keep current/default
-        depths[item] = Math.max(0, depths[item] ?? 0);
-      }
-    }
+// Warning for a plan made with another dataset (or another revision of this one); "" when it matches
+function datasetMismatchNote(state) {
+  const made = state?.dataset;
+  if (!made || typeof made.id !== "string" || !ACTIVE_DATASET) return "";
+  if (made.id === ACTIVE_DATASET.id && (!made.version || made.version === ACTIVE_DATASET.version)) return "";
+  const hint = made.id !== ACTIVE_DATASET.id && findDataset(made.id) ? ` Pick "${findDataset(made.id).label || made.id}" under Data to match it.` : "";
+  return `This plan was made with ${datasetLabel(made)} but ${datasetLabel(ACTIVE_DATASET)} is loaded, so its numbers may differ.${hint}`;
+}
 
-    // 3) Normalize before deciding shift
-    for (const k of Object.keys(depths)) {
-      let v = Number(depths[k]);
-      if (!Number.isFinite(v) || isNaN(v)) v = 0;
-      depths[k] = Math.max(0, Math.floor(v));
-    }
+function populateDatasetSelect(select) {
+  const manifest = DATASETS || DEFAULT_DATASETS;
+  select.innerHTML = manifest.datasets
+    .map(d => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.label || d.id)}</option>`)
+    .join("");
+  select.value = ACTIVE_DATASET?.id || selectedDatasetId();
+  select.disabled = manifest.datasets.length < 2;
+}
 
-    // 4) If any raw is at depth 0, enforce raw-left rule: set all raws to 0 and shift non-raw +1
-    const rawItems = Object.keys(chain || {}).filter(i => chain[i] && chain[i].raw);
-    const anyRawAtZero = rawItems.length > 0 && rawItems.some(r => depths[r] === 0);
-    if (anyRawAtZero) {
-      for (const r of rawItems) depths[r] = 0;
-      for (const k of Object.keys(depths)) {
-        if (!(chain[k] && chain[k].raw)) depths[k] = Math.max(0, Math.floor(depths[k]) + 1);
-      }
-    }
+async function switchDataset(id) {
+  if (!findDataset(id) || id === ACTIVE_DATASET?.id) return;
+  localStorage.setItem(DATASET_KEY, id);
+  await reloadRecipes();
+  if (LAST_PLAN_REPORT) runCalculator();
+}
 
-    // 5) Final normalization for this pass
-    for (const k of Object.keys(depths)) {
-      let v = Number(depths[k]);
-      if (!Number.isFinite(v) || isNaN(v)) v = 0;
-      depths[k] = Math.max(0, Math.floor(v));
-    }
+async function loadRecipes() {
+  await loadDatasetManifest();
+  const entry = findDataset(selectedDatasetId());
 
-    // 6) If stable, break early
-    let stable = true;
-    for (const k of Object.keys(depths)) {
-      if (prev[k] !== depths[k]) { stable = false; break; }
-    }
-    if (stable) break;
+  let data = null;
+  try {
+    data = await fetchDataFile(entry.file);
+    console.info(`Loaded recipes for dataset "${entry.id}" from ${entry.file}`);
+  } catch (err) {
+    console.error(`Failed to load dataset "${entry.id}":`, err);
+    const out = document.getElementById("outputArea");
+    if (out) out.innerHTML = `<p style="color:red;">Error loading recipe data. Please try again later.</p>`;
+    return {};
   }
 
-  // Final clamp and return
-  for (const k of Object.keys(depths)) {
-    let v = Number(depths[k]);
-    if (!Number.isFinite(v) || isNaN(v)) v = 0;
-    depths[k] = Math.max(0, Math.floor(v));
+  try {
+    ACTIVE_DATASET = { id: entry.id, version: String(entry.version || fingerprintData(data)) };
+    RECIPE_OVERRIDES = loadRecipeOverrides();
+    const loops = setRecipes(applyRecipeOverrides(data, RECIPE_OVERRIDES));
+    for (const loop of loops) console.warn("Recipe loop detected:", loop.join(" → "));
+  } catch (err) {
+    console.error(err.message);
+    return {};
   }
 
-  return depths;
+  window.RECIPES = RECIPES;
+  window.TIERS = TIERS;
+  console.info("Recipes loaded:", Object.keys(RECIPES).length, "items");
+  return RECIPES;
 }
 
 /* ===============================
@@ -694,73 +552,25 @@ function setupGraphZoom(containerEl, { autoFit = true, resetButtonEl = null } =
   }
 }
 
-// Build graph nodes and logical links from the expanded chain
-function buildGraphData(chain, rootItem) {
-  const nodes = [];
-  const links = [];
-  const nodeMap = new Map();
-
-  // Create node objects for every item in the chain
-  for (const [item, data] of Object.entries(chain || {})) {
-    const node = {
-      id: item,
-      label: item,
-      raw: !!data.raw,
-      building: data.building || null,
-      machines: data.machines || 0,
-      inputs: Object.assign({}, data.inputs || {})
-    };
-    nodes.push(node);
-    nodeMap.set(item, node);
-  }
-
-  // Create logical links: consumer -> input
-  for (const [consumer, data] of Object.entries(chain || {})) {
-    const inputs = data.inputs || {};
-    for (const inputName of Object.keys(inputs)) {
-      // Only add links when both ends exist in the node set
-      if (nodeMap.has(consumer) && nodeMap.has(inputName)) {
-        links.push({ from: consumer, to: inputName });
-      }
-    }
-  }
-
-  // Compute depths (columns) using existing tier logic
-  const depths = typeof computeDepthsFromTiers === 'function'
-    ? computeDepthsFromTiers(chain, rootItem || null)
-    : {};
-
-  // Attach depth to nodes (default to 0)
-  for (const n of nodes) {
-    n.depth = Number.isFinite(Number(depths[n.id])) ? Number(depths[n.id]) : 0;
-  }
-
-  return { nodes, links };
-}
-
-// Updated renderGraph: draws direct center→center lines for raw→consumer links,
-// and also handles the common case where the link is reversed in the data
-// (consumer -> raw) by flipping it so a visible raw->consumer center line is emitted.
-// Also ensures no left helper/anchor is created for raw nodes in the far-left column.
+// renderGraph: lays nodes out in depth columns ordered by orderLayers and draws one
+// edge per producer -> consumer link, routed through waypoints when it spans columns.
+// Raw nodes in the far-left column get no input anchor.
 function renderGraph(nodes, links, rootItem) {
   const nodeRadius = 22;
   const ANCHOR_RADIUS = 5;
   const ANCHOR_OFFSET = 18;
 
-  const ARROW_HALF_WIDTH = 5;
-  const ARROW_HEIGHT = 8;
-  const ARROW_CENTER_ADJUST = ARROW_HEIGHT / 3;
-  const ARROW_GAP_FROM_LABEL = 6;
-  const UP_ARROW_EXTRA_LIFT = 4;
-
   const H_ARROW_HALF_HEIGHT = 5;
   const H_ARROW_WIDTH = 8;
 
   const LABEL_OFFSET = 6;
+  const RATE_LINE_HEIGHT = 13;
+
+  // Edge thickness grows with the square root of throughput, relative to the busiest link
+  const EDGE_MIN_WIDTH = 1.2;
+  const EDGE_MAX_WIDTH = 7;
 
-  const BYPASS_RADIUS = 5;
-  const BYPASS_Y_OFFSET = 34;
-  const BYPASS_X_INSET = 10;
+  const showFlowLabels = getShowFlowLabels();
 
   function roundCoord(v) { return Math.round(v * 100) / 100; }
 
@@ -795,117 +605,69 @@ function renderGraph(nodes, links, rootItem) {
   const depthMap = new Map(uniqueDepths.map((d,i)=>[d,i]));
   nodes.forEach(n => n.depth = depthMap.get(Number(n.depth)) ?? 0);
 
-  const columns = {};
-  for (const n of nodes) {
-    if (!columns[n.depth]) columns[n.depth] = [];
-    columns[n.depth].push(n);
-  }
-
-  const depthsSorted = Object.keys(columns).map(Number).sort((a,b)=>a-b);
-  const depthIndex = new Map(depthsSorted.map((d,i)=>[d,i]));
-
-  for (const [depth, colNodes] of Object.entries(columns)) {
-    const idx = depthIndex.get(Number(depth)) ?? 0;
-    colNodes.sort((a,b)=>String(a.label||a.id).localeCompare(String(b.label||b.id)));
-    colNodes.forEach((node,i)=>{
-      node.x = roundCoord(idx * MACHINE_COL_WIDTH + 100);
-      node.y = roundCoord(i * GRAPH_ROW_HEIGHT + 100);
-    });
-  }
-
   // ---------------------------------
-  // Bypass detection (HELPER DOTS)
+  // Layered layout: orderLayers (calc.js) orders each column to cut crossings
+  // and threads long links through waypoint slots in the columns they span
   // ---------------------------------
-
-  const bypassOutputDepths = new Set();
-  const bypassInputDepths  = new Set();
-
-  // Links are consumer -> input
-  for (const link of links) {
-    const consumer = nodes.find(n => n.id === link.from);
-    const producer = nodes.find(n => n.id === link.to);
-    if (!consumer || !producer) continue;
-
-    const gap = consumer.depth - producer.depth;
-
-    if (gap > 1) {
-      // output bypass on producer column
-      bypassOutputDepths.add(producer.depth);
-
-      // input bypass on consumer column
-      bypassInputDepths.add(consumer.depth);
-    }
+  const layout = orderLayers(nodes, links);
+
+  // Waypoints only carry a line, so they get a narrower lane than a node with its labels
+  function slotGap(above, below) {
+    if (!above.dummy && !below.dummy) return GRAPH_ROW_HEIGHT;
+    if (above.dummy && below.dummy) return WAYPOINT_LANE_GAP;
+    // Node labels sit above the circle, power and fold text below it
+    return above.dummy ? WAYPOINT_LANE_GAP * 2.5 : WAYPOINT_LANE_GAP * 2;
   }
 
-  // vertical padding for bypass dots
-  const bypassExtraTop =
-    (bypassOutputDepths.size || bypassInputDepths.size)
-      ? BYPASS_Y_OFFSET + BYPASS_RADIUS + 12
-      : 0;
+  const columnHeights = layout.columns.map(col => {
+    let height = 0;
+    col.forEach((slot, i) => {
+      if (i > 0) height += slotGap(col[i - 1], slot);
+      slot.offset = height;
+    });
+    return height;
+  });
+  const tallest = Math.max(0, ...columnHeights);
+
+  const waypoints = new Map();
+  layout.columns.forEach((col, idx) => {
+    const x = roundCoord(idx * MACHINE_COL_WIDTH + 100);
+    // Center shorter columns against the tallest one
+    const top = 100 + (tallest - columnHeights[idx]) / 2;
+    for (const slot of col) {
+      const y = roundCoord(top + slot.offset);
+      if (slot.dummy) waypoints.set(slot.id, { x, y });
+      else { slot.node.x = x; slot.node.y = y; }
+    }
+  });
 
   // ---------------------------------
   // ViewBox
   // ---------------------------------
-  const xs = nodes.map(n=>n.x), ys = nodes.map(n=>n.y);
+  const xs = nodes.map(n=>n.x);
+  const ys = nodes.map(n=>n.y).concat([...waypoints.values()].map(w => w.y));
   const minX = Math.min(...xs), maxX = Math.max(...xs);
   const minY = Math.min(...ys), maxY = Math.max(...ys);
 
   const contentX = minX - nodeRadius - GRAPH_CONTENT_PAD;
-  const contentY =
-    minY - nodeRadius - GRAPH_CONTENT_PAD - bypassExtraTop;
+  const contentY = minY - nodeRadius - GRAPH_CONTENT_PAD;
   const contentW = (maxX - minX) + nodeRadius*2 + GRAPH_CONTENT_PAD*2;
-  const contentH =
-    (maxY - minY) +
-    nodeRadius * 2 +
-    GRAPH_CONTENT_PAD * 2 +
-    bypassExtraTop;
+  const contentH = (maxY - minY) + nodeRadius*2 + GRAPH_CONTENT_PAD*2;
 
   let inner = '';
 
   // ---------------------------------
-  // Helper anchors
-  // ---------------------------------
-  const rightHelpers = [];
-  const leftHelpers = [];
-
-  // ---------------------------------
-  // Collect bypass dot positions
+  // Helper anchors (output on the right, input on the left)
   // ---------------------------------
-  const bypassDots = []; // { x, y, depth, side }
-
-  const minDepth = Math.min(...nodes.map(n => n.depth));
-  const maxDepth = Math.max(...nodes.map(n => n.depth));
-
-  for (const node of nodes) {
-
-    // OUTPUT helpers (allowed for raw + non-raw)
-    if (node.hasOutputAnchor && node.depth !== maxDepth) {
-      const a = anchorRightPos(node);
-      rightHelpers.push({ ...a, depth: node.depth });
-
-      inner += `
-        <line x1="${node.x + nodeRadius}" y1="${node.y}"
-              x2="${a.x}" y2="${a.y}"
-              stroke="var(--line-color)" stroke-width="1.2" />
-        <circle cx="${a.x}" cy="${a.y}"
-                r="${ANCHOR_RADIUS}"
-                fill="var(--bypass-fill)"
-                stroke="var(--bypass-stroke)"
-                stroke-width="1.2"/>
-      `;
-    }
+  // Links are consumer -> input
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  const feedsOthers = new Set(links.map(l => l.to));
+  const isFed = new Set(links.map(l => l.from));
 
-    // INPUT helpers (❌ NEVER for raw nodes)
-    if (
-      node.hasInputAnchor &&
-      !node.raw &&                 // <<< CRITICAL FIX
-      node.depth !== minDepth
-    ) {
-      const a = anchorLeftPos(node);
-      leftHelpers.push({ ...a, depth: node.depth });
-
-      inner += `
-        <line x1="${node.x - nodeRadius}" y1="${node.y}"
+  function drawAnchor(node, a, edgeX) {
+    inner += `
+      <g class="graph-anchor" data-id="${escapeHtml(node.id)}">
+        <line x1="${edgeX}" y1="${node.y}"
               x2="${a.x}" y2="${a.y}"
               stroke="var(--line-color)" stroke-width="1.2" />
         <circle cx="${a.x}" cy="${a.y}"
@@ -913,356 +675,155 @@ function renderGraph(nodes, links, rootItem) {
                 fill="var(--bypass-fill)"
                 stroke="var(--bypass-stroke)"
                 stroke-width="1.2"/>
-      `;
-    }
-  }
-
-    // top-most node per column
-    const topBypassNodeByDepth = {};
-
-    // outputs
-    for (const link of links) {
-      const from = nodes.find(n => n.id === link.source);
-      const to   = nodes.find(n => n.id === link.target);
-      if (!from || !to) continue;
-
-      if (to.depth - from.depth > 1) {
-        const dOut = from.depth;
-        const dIn  = to.depth;
-
-        if (!topBypassNodeByDepth[dOut] || from.y < topBypassNodeByDepth[dOut].y) {
-          topBypassNodeByDepth[dOut] = from;
-        }
-
-        if (!topBypassNodeByDepth[dIn] || to.y < topBypassNodeByDepth[dIn].y) {
-          topBypassNodeByDepth[dIn] = to;
-        }
-      }
-    }
-
-  // ---------------------------------
-  // Vertical output spines
-  // ---------------------------------
-  const byX = {};
-  for (const h of rightHelpers) {
-    if (!byX[h.x]) byX[h.x] = [];
-    byX[h.x].push(h);
-  }
-
-  for (const helpers of Object.values(byX)) {
-    if (helpers.length < 2) continue;
-    helpers.sort((a,b)=>a.y - b.y);
-
-    for (let i = 0; i < helpers.length - 1; i++) {
-      const x = helpers[i].x;
-      const y1 = helpers[i].y;
-      const y2 = helpers[i + 1].y;
-
-      inner += `
-        <line x1="${x}" y1="${y1}"
-              x2="${x}" y2="${y2}"
-              stroke="var(--line-color)" stroke-width="1.6" />
-      `;
-
-      const midY = (y1 + y2) / 2;
-      const arrowY =
-        midY +
-        ARROW_GAP_FROM_LABEL -
-        ARROW_CENTER_ADJUST -
-        UP_ARROW_EXTRA_LIFT;
-
-      inner += `
-        <polygon
-          points="
-            ${x},${arrowY - ARROW_HEIGHT}
-            ${x - ARROW_HALF_WIDTH},${arrowY}
-            ${x + ARROW_HALF_WIDTH},${arrowY}
-          "
-          fill="var(--line-color)" />
-      `;
-    }
-  }
-
-  // ---------------------------------
-  // Vertical input spines
-  // ---------------------------------
-  const byXInput = {};
-  for (const h of leftHelpers) {
-    if (!byXInput[h.x]) byXInput[h.x] = [];
-    byXInput[h.x].push(h);
+      </g>
+    `;
   }
 
-  for (const helpers of Object.values(byXInput)) {
-    if (helpers.length < 2) continue;
-    helpers.sort((a,b)=>a.y - b.y);
-
-    for (let i = 0; i < helpers.length - 1; i++) {
-      const x = helpers[i].x;
-      const y1 = helpers[i].y;
-      const y2 = helpers[i + 1].y;
-
-      inner += `
-        <line x1="${x}" y1="${y1}"
-              x2="${x}" y2="${y2}"
-              stroke="var(--line-color)" stroke-width="1.6" />
-      `;
-
-      const midY = (y1 + y2) / 2;
-      const arrowY =
-        midY -
-        ARROW_CENTER_ADJUST -
-        ARROW_GAP_FROM_LABEL;
-
-      inner += `
-        <polygon
-          points="
-            ${x},${arrowY + ARROW_HEIGHT}
-            ${x - ARROW_HALF_WIDTH},${arrowY}
-            ${x + ARROW_HALF_WIDTH},${arrowY}
-          "
-          fill="var(--line-color)" />
-      `;
-    }
+  for (const node of nodes) {
+    if (node.hasOutputAnchor && feedsOthers.has(node.id)) drawAnchor(node, anchorRightPos(node), node.x + nodeRadius);
+    // Raw and import nodes have nothing to feed them
+    if (node.hasInputAnchor && !node.raw && isFed.has(node.id)) drawAnchor(node, anchorLeftPos(node), node.x - nodeRadius);
   }
 
   // ---------------------------------
-  // HORIZONTAL TOP CONNECTIONS (RIGHT → LEFT)
+  // Links: one edge per producer -> consumer flow, labelled with its rate and rails
   // ---------------------------------
-  const rightTopByDepth = {};
-  const leftTopByDepth = {};
-
-  for (const h of rightHelpers) {
-    if (!rightTopByDepth[h.depth] || h.y < rightTopByDepth[h.depth].y) {
-      rightTopByDepth[h.depth] = h;
-    }
-  }
-
-  for (const h of leftHelpers) {
-    if (!leftTopByDepth[h.depth] || h.y < leftTopByDepth[h.depth].y) {
-      leftTopByDepth[h.depth] = h;
-    }
+  const maxRate = Math.max(0, ...links.map(l => Number(l.rate) || 0));
+  function edgeWidth(rate) {
+    if (!(rate > 0) || !(maxRate > 0)) return 1.6;
+    return roundCoord(EDGE_MIN_WIDTH + (EDGE_MAX_WIDTH - EDGE_MIN_WIDTH) * Math.sqrt(rate / maxRate));
   }
 
-  for (const d of Object.keys(rightTopByDepth).map(Number)) {
-    const from = rightTopByDepth[d];
-    const to = leftTopByDepth[d + 1];
-    if (!from || !to) continue;
-
-    const y = from.y;
-    const midX = (from.x + to.x) / 2;
-
-    inner += `
-      <line
-        x1="${from.x}" y1="${y}"
-        x2="${to.x}"   y2="${y}"
-        stroke="var(--line-color)"
-        stroke-width="1.6" />
-      <polygon
-        points="
-          ${midX + H_ARROW_WIDTH},${y}
-          ${midX},${y - H_ARROW_HALF_HEIGHT}
-          ${midX},${y + H_ARROW_HALF_HEIGHT}
-        "
-        fill="var(--line-color)" />
-    `;
+  function bezierMid(p, c1, c2, q) {
+    return {
+      x: roundCoord((p.x + 3 * c1.x + 3 * c2.x + q.x) / 8),
+      y: roundCoord((p.y + 3 * c1.y + 3 * c2.y + q.y) / 8)
+    };
   }
 
-  // ---------------------------------
-  // BYPASS HELPER DOTS (TRUE HELPERS)
-  // ---------------------------------
-
-  // Compute true vertical unit per column (same spacing as spines)
-  function getVerticalUnit(helpersByX) {
-    for (const helpers of Object.values(helpersByX)) {
-      if (helpers.length >= 2) {
-        return helpers[1].y - helpers[0].y;
+  links.forEach((link, i) => {
+    const producer = nodeById.get(link.to);
+    const consumer = nodeById.get(link.from);
+    if (!producer || !consumer) return;
+
+    const a = anchorRightPos(producer);
+    const b = anchorLeftPos(consumer);
+    const end = { x: b.x - ANCHOR_RADIUS, y: b.y };
+    const route = (layout.routes[i] || []).map(id => waypoints.get(id)).filter(Boolean);
+    let d, mid;
+    if (end.x > a.x) {
+      // Forward edges bow between columns and run straight through each waypoint
+      const stops = [a];
+      for (const w of route) {
+        stops.push({ x: roundCoord(w.x - nodeRadius - ANCHOR_OFFSET), y: w.y });
+        stops.push({ x: roundCoord(w.x + nodeRadius + ANCHOR_OFFSET), y: w.y });
+      }
+      stops.push(end);
+      d = `M ${a.x} ${a.y}`;
+      const hops = [];
+      for (let s = 0; s + 1 < stops.length; s += 2) {
+        const p = stops[s], q = stops[s + 1];
+        const bend = Math.max(24, (q.x - p.x) / 2);
+        const c1 = { x: roundCoord(p.x + bend), y: p.y };
+        const c2 = { x: roundCoord(q.x - bend), y: q.y };
+        if (s > 0) d += ` L ${p.x} ${p.y}`;
+        d += ` C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${q.x} ${q.y}`;
+        hops.push(bezierMid(p, c1, c2, q));
       }
+      mid = hops[Math.floor(hops.length / 2)];
+    } else {
+      // Edges that run backwards (recipe loops) arc above both nodes
+      const bend = MACHINE_COL_WIDTH / 2;
+      const lift = GRAPH_ROW_HEIGHT * 0.6;
+      const c1 = { x: roundCoord(a.x + bend), y: roundCoord(a.y - lift) };
+      const c2 = { x: roundCoord(end.x - bend), y: roundCoord(end.y - lift) };
+      d = `M ${a.x} ${a.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${end.x} ${end.y}`;
+      mid = bezierMid(a, c1, c2, end);
     }
-    return GRAPH_ROW_HEIGHT; // safe fallback
-  }
-
-  const verticalUnitOut = getVerticalUnit(byX);
-  const verticalUnitIn  = getVerticalUnit(byXInput);
-  
-  // Output-side bypass helper dots
-  for (const depth of bypassOutputDepths) {
-    const h = rightTopByDepth[depth];
-    if (!h) continue;
-
-    const y = h.y - verticalUnitOut;
-
-    bypassDots.push({
-      x: h.x,
-      y,
-      depth,
-      side: 'out'
-    });
 
-    inner += `
-      <circle
-        cx="${h.x}"
-        cy="${y}"
-        r="${BYPASS_RADIUS}"
-        fill="var(--bypass-fill)"
-        stroke="var(--bypass-stroke)"
-        stroke-width="1.4"
-      />
-    `;
-  }
-
-  // Input-side bypass helper dots
-  for (const depth of bypassInputDepths) {
-    const h = leftTopByDepth[depth];
-    if (!h) continue;
-
-    const y = h.y - verticalUnitIn;
-
-    bypassDots.push({
-      x: h.x,
-      y,
-      depth,
-      side: 'in'
-    });
+    const rails = link.rails ? `${link.rails.rails}× ${link.rails.tier}` : "";
+    const rateText = Number.isFinite(link.rate) ? `${formatNumber(link.rate)}/min` : "";
+    const edgeLabel = [rateText, rails].filter(Boolean).join(" · ");
+    const strokeWidth = edgeWidth(link.rate);
+    const arrowHalf = Math.max(H_ARROW_HALF_HEIGHT, strokeWidth);
+    const title = `${link.item || producer.id} → ${consumer.id}` +
+      (Number.isFinite(link.rate) ? `: ${formatNumber(link.rate)}/min` : "") +
+      (rails ? ` on ${link.rails.rails} ${link.rails.tier} rail${link.rails.rails === 1 ? "" : "s"}` : "");
 
     inner += `
-      <circle
-        cx="${h.x}"
-        cy="${y}"
-        r="${BYPASS_RADIUS}"
-        fill="var(--bypass-fill)"
-        stroke="var(--bypass-stroke)"
-        stroke-width="1.4"
-      />
-    `;
-  }
-
-    // ---------------------------------
-    // Connect bypass dots to vertical spines (WITH ARROWS)
-    // ---------------------------------
-    for (const d of bypassDots) {
-      const spine =
-        d.side === 'out'
-          ? rightTopByDepth[d.depth]
-          : leftTopByDepth[d.depth];
-
-      if (!spine) continue;
-
-      inner += `
-        <line
-          x1="${d.x}"
-          y1="${d.y}"
-          x2="${spine.x}"
-          y2="${spine.y}"
-          stroke="var(--line-color)"
-          stroke-width="1.6"
-        />
-      `;
-
-      const midY = (d.y + spine.y) / 2;
-
-      // OUTPUT side → arrow UP (same as output spines)
-      if (d.side === 'out') {
-        const arrowY =
-          midY +
-          ARROW_GAP_FROM_LABEL -
-          ARROW_CENTER_ADJUST -
-          UP_ARROW_EXTRA_LIFT;
-
-        inner += `
-          <polygon
-            points="
-              ${d.x},${arrowY - ARROW_HEIGHT}
-              ${d.x - ARROW_HALF_WIDTH},${arrowY}
-              ${d.x + ARROW_HALF_WIDTH},${arrowY}
-            "
-            fill="var(--line-color)" />
-        `;
-      }
-
-      // INPUT side → arrow DOWN (same as input spines)
-      if (d.side === 'in') {
-        const arrowY =
-          midY -
-          ARROW_CENTER_ADJUST -
-          ARROW_GAP_FROM_LABEL;
-
-        inner += `
-          <polygon
-            points="
-              ${d.x},${arrowY + ARROW_HEIGHT}
-              ${d.x - ARROW_HALF_WIDTH},${arrowY}
-              ${d.x + ARROW_HALF_WIDTH},${arrowY}
-            "
-            fill="var(--line-color)" />
-        `;
-      }
-    }
-
-    // ---------------------------------
-    // Horizontal bypass rail (dot-to-dot with arrows)
-    // ---------------------------------
-    const topBypassDots = bypassDots
-      .slice()
-      .sort((a, b) => a.depth - b.depth);
-
-    for (let i = 0; i < topBypassDots.length - 1; i++) {
-      const a = topBypassDots[i];
-      const b = topBypassDots[i + 1];
-
-      // never connect within the same column
-      if (a.depth === b.depth) continue;
-
-      inner += `
-        <line
-          x1="${a.x}"
-          y1="${a.y}"
-          x2="${b.x}"
-          y2="${b.y}"
+      <g class="graph-link" data-from="${escapeHtml(producer.id)}" data-to="${escapeHtml(consumer.id)}">
+        <title>${escapeHtml(title)}</title>
+        <path
+          class="graph-flow${link.byproduct ? " graph-flow-byproduct" : ""}"
+          d="${d}"
+          fill="none"
           stroke="var(--line-color)"
-          stroke-width="1.6"
-        />
-      `;
-
-      const midX = (a.x + b.x) / 2;
-
-      inner += `
+          stroke-width="${strokeWidth}" />
         <polygon
           points="
-            ${midX + H_ARROW_WIDTH},${a.y}
-            ${midX},${a.y - H_ARROW_HALF_HEIGHT}
-            ${midX},${a.y + H_ARROW_HALF_HEIGHT}
+            ${end.x},${end.y}
+            ${end.x - H_ARROW_WIDTH},${end.y - arrowHalf}
+            ${end.x - H_ARROW_WIDTH},${end.y + arrowHalf}
           "
           fill="var(--line-color)" />
-      `;
-    }
+        ${showFlowLabels && edgeLabel ? `<text class="edgeLabel" x="${mid.x}" y="${roundCoord(mid.y - strokeWidth / 2)}" dy="-0.4em" text-anchor="middle">${escapeHtml(edgeLabel)}</text>` : ""}
+      </g>
+    `;
+  });
 
   // ---------------------------------
   // Nodes
   // ---------------------------------
   for (const node of nodes) {
-    const fillColor = node.raw
-      ? "#f4d03f"
-      : MACHINE_COLORS[node.building] || "#95a5a6";
+    const fillColor = node.imported
+      ? IMPORT_NODE_COLOR
+      : node.raw
+        ? "#f4d03f"
+        : MACHINE_COLORS[node.building] || "#95a5a6";
 
     const label = String(node.label || node.id);
 
     const fontSize = 13;
     const padX = 10, padY = 6;
-    const width = Math.max(48, label.length * 7 + padX * 2);
-    const height = fontSize + padY * 2;
+    // Output rate as a second line under the name; the box grows upward, away from the circle
+    const rateLine = showFlowLabels && node.rate > 0 ? `${formatNumber(node.rate)}/min` : "";
+    const width = Math.max(48, label.length * 7 + padX * 2, rateLine.length * 6 + padX * 2);
+    const height = fontSize + padY * 2 + (rateLine ? RATE_LINE_HEIGHT : 0);
+    const boxTop = node.y - nodeRadius - LABEL_OFFSET - height;
+    const nameY = boxTop + padY + fontSize / 2;
 
     // Machine count shown inside node
     const machineCount =
       Number.isFinite(Number(node.machines)) && node.machines > 0
-        ? Math.ceil(node.machines)
+        ? ceilCount(node.machines)
         : "";
 
+    // Folded subtree: a dashed ring, a summary line under the node and a "+" badge to unfold
+    const fold = node.folded;
+    const foldRaw = fold ? Object.entries(fold.rawInputs).map(([name, rate]) => `${name}: ${formatNumber(rate)}/min`) : [];
+    const foldMarkup = fold
+      ? `
+        <title>${escapeHtml(`${fold.hidden.length} folded, ${fold.machines} machines` + (foldRaw.length ? `\nRaw inputs: ${foldRaw.join(", ")}` : ""))}</title>
+        <circle cx="${node.x}" cy="${node.y}" r="${nodeRadius + 5}" fill="none"
+                stroke="var(--line-color)" stroke-width="1.4" stroke-dasharray="4 3" />
+        <text x="${node.x}" y="${node.y + nodeRadius + (node.power > 0 ? 28 : 14)}" class="nodePower" text-anchor="middle">
+          +${fold.hidden.length} folded · ${fold.machines} machines
+        </text>
+        <g class="fold-toggle" data-id="${escapeHtml(node.id)}" role="button" aria-label="Unfold ${escapeHtml(node.id)}">
+          <circle cx="${roundCoord(node.x + nodeRadius * 0.8)}" cy="${roundCoord(node.y + nodeRadius * 0.8)}" r="8"
+                  fill="var(--bypass-fill)" stroke="var(--bypass-stroke)" stroke-width="1.2" />
+          <text x="${roundCoord(node.x + nodeRadius * 0.8)}" y="${roundCoord(node.y + nodeRadius * 0.8)}" class="foldGlyph"
+                text-anchor="middle" dy="0.35em">+</text>
+        </g>
+      `
+      : "";
+
     inner += `
-      <g class="graph-node" data-id="${escapeHtml(node.id)}" tabindex="0">
+      <g class="graph-node${fold ? " folded" : ""}" data-id="${escapeHtml(node.id)}" tabindex="0">
         <!-- label box -->
         <rect
           x="${node.x - width / 2}"
-          y="${node.y - nodeRadius - LABEL_OFFSET - height}"
+          y="${boxTop}"
           width="${width}"
           height="${height}"
           rx="6"
@@ -1271,14 +832,19 @@ function renderGraph(nodes, links, rootItem) {
 
         <text
           x="${node.x}"
-          y="${node.y - nodeRadius - LABEL_OFFSET - height / 2}"
+          y="${nameY}"
           text-anchor="middle"
           dy="0.35em"
           font-size="${fontSize}"
           font-weight="700"
           fill="var(--label-text-fill)">
-          ${label}
+          ${escapeHtml(label)}
         </text>
+        ${
+          rateLine
+            ? `<text x="${node.x}" y="${nameY + RATE_LINE_HEIGHT}" class="nodeRate" text-anchor="middle" dy="0.35em">${rateLine}</text>`
+            : ""
+        }
 
         <!-- node circle -->
         <circle
@@ -1289,20 +855,36 @@ function renderGraph(nodes, links, rootItem) {
           stroke="#2c3e50"
           stroke-width="2"/>
 
-        <!-- machine count inside node -->
+        <!-- built power draw under node -->
         ${
-          machineCount !== ""
+          node.power > 0
             ? `
             <text
               x="${node.x}"
-              y="${node.y}"
-              class="nodeNumber">
-              ${machineCount}
+              y="${node.y + nodeRadius + 14}"
+              class="nodePower"
+              text-anchor="middle">
+              ${formatNumber(node.power, 0)} ${escapeHtml(getPowerUnit())}
             </text>
             `
             : ""
         }
-      </g>
+
+        <!-- machine count inside node -->
+        ${
+          machineCount !== ""
+            ? `
+            <text
+              x="${node.x}"
+              y="${node.y}"
+              class="nodeNumber">
+              ${machineCount}
+            </text>
+            `
+            : ""
+        }
+        ${foldMarkup}
+      </g>
     `;
   }
 
@@ -1317,7 +899,7 @@ function renderGraph(nodes, links, rootItem) {
   `;
 }
 
-// Minimal guarded attachNodePointerHandlers that does not trigger pulses
+// Node selection: click, Enter or Space on a node selects it (again to clear), Escape clears
 function attachNodePointerHandlers(wrapper) {
   if (!wrapper) return;
   if (wrapper._nodePointerHandlersInstalled) return;
@@ -1326,50 +908,236 @@ function attachNodePointerHandlers(wrapper) {
   const svg = wrapper.querySelector('svg.graphSVG');
   if (!svg) return;
 
-  // Keyboard accessibility only
+  svg.addEventListener('click', (ev) => {
+    const foldToggle = ev.target.closest('.fold-toggle[data-id]');
+    if (foldToggle) {
+      toggleFold(foldToggle.dataset.id);
+      return;
+    }
+    const group = ev.target.closest('g.graph-node[data-id]');
+    if (group) selectGraphNode(group.dataset.id);
+  });
   svg.querySelectorAll('g.graph-node[data-id]').forEach(group => {
     group.addEventListener('keydown', (ev) => {
       if (ev.key === 'Enter' || ev.key === ' ') {
         ev.preventDefault();
-        // reserved for future actions
+        selectGraphNode(group.dataset.id);
+      } else if (ev.key === 'Escape' && GRAPH_SELECTION) {
+        selectGraphNode(null);
       }
     });
   });
+
+  // A selection from before the recalculation is reapplied if its node is still in the plan
+  applyGraphSelection();
+}
+
+// Fold or unfold an item's supply subtree, then redraw the plan
+function toggleFold(item) {
+  const folding = !COLLAPSED_NODES.has(item);
+  if (folding) COLLAPSED_NODES.add(item);
+  else COLLAPSED_NODES.delete(item);
+  runCalculator();
+  if (folding && !LAST_FOLDS[item]) {
+    COLLAPSED_NODES.delete(item);
+    showToast(`Nothing to fold: everything ${item} uses is shared with the rest of the plan.`);
+  }
 }
 
 /* ===============================
-   Render table + graph
+   Node selection
+   - The selected node's supply tree (upstream) or consumers (downstream) stay highlighted;
+     everything else is dimmed
+   - nodeDetailPanel shows the node's recipe, rates, machines and flows from LAST_PLAN_REPORT
    =============================== */
-function computeRailsNeeded(inputRates, railSpeed) {
-  const total = Object.values(inputRates).reduce((sum, val) => sum + val, 0);
-  return railSpeed && railSpeed > 0 ? Math.ceil(total / railSpeed) : "—";
+function selectGraphNode(id) {
+  if (!id || GRAPH_SELECTION?.id === id) GRAPH_SELECTION = null;
+  else GRAPH_SELECTION = { id, direction: GRAPH_SELECTION?.direction || 'upstream' };
+  applyGraphSelection();
 }
 
-function renderTable(chainObj, rootItem, rate) {
-  const { chain, machineTotals, extractorTotals } = chainObj;
+// Nodes and edges reachable from `id` along graph links; edges run producer (data-from) -> consumer (data-to)
+function collectConnected(svg, id, direction) {
+  const next = new Map();
+  svg.querySelectorAll('g.graph-link').forEach(edge => {
+    const { from, to } = edge.dataset;
+    const [key, node] = direction === 'downstream' ? [from, to] : [to, from];
+    if (!next.has(key)) next.set(key, []);
+    next.get(key).push({ node, edge });
+  });
 
-  // Build graph data (nodes + links) and ensure depths are attached
-  const graph = buildGraphData(chain, rootItem);
-  const nodes = graph.nodes || [];
-  const links = graph.links || [];
+  const nodes = new Set([id]);
+  const edges = new Set();
+  const queue = [id];
+  while (queue.length) {
+    for (const { node, edge } of next.get(queue.shift()) || []) {
+      edges.add(edge);
+      if (!nodes.has(node)) { nodes.add(node); queue.push(node); }
+    }
+  }
+  return { nodes, edges };
+}
 
-  // Compute depths using existing helper
-  const depths = typeof computeDepthsFromTiers === 'function'
-    ? computeDepthsFromTiers(chain, rootItem)
-    : {};
+function applyGraphSelection() {
+  const svg = document.querySelector('#graphArea svg.graphSVG');
+  document.querySelectorAll('#outputArea tr.selected-row').forEach(tr => tr.classList.remove('selected-row'));
+  if (svg) {
+    svg.querySelectorAll('.highlighted, .selected').forEach(el => el.classList.remove('highlighted', 'selected'));
+    const group = GRAPH_SELECTION && Array.from(svg.querySelectorAll('g.graph-node[data-id]')).find(g => g.dataset.id === GRAPH_SELECTION.id);
+    if (!group) GRAPH_SELECTION = null;
+    svg.classList.toggle('has-selection', !!group);
+    if (group) {
+      const { nodes, edges } = collectConnected(svg, GRAPH_SELECTION.id, GRAPH_SELECTION.direction);
+      group.classList.add('selected');
+      svg.querySelectorAll('g.graph-node[data-id], g.graph-anchor[data-id]').forEach(el => {
+        if (nodes.has(el.dataset.id)) el.classList.add('highlighted');
+      });
+      edges.forEach(edge => edge.classList.add('highlighted'));
+    }
+  } else {
+    GRAPH_SELECTION = null;
+  }
+  const row = findTableRow(GRAPH_SELECTION?.id);
+  if (row) row.classList.add('selected-row');
+  renderNodeDetail();
+}
+
+function findTableRow(item) {
+  if (!item) return null;
+  return Array.from(document.querySelectorAll('#outputArea tr[data-item]')).find(tr => tr.dataset.item === item) || null;
+}
 
-  // Collect non-raw items grouped by their computed depth
-  const levelGroups = {};
-  for (const [item, data] of Object.entries(chain || {})) {
-    if (data && data.raw) continue; // skip raw items entirely
-    const depth = Number.isFinite(Number(depths[item])) ? Number(depths[item]) : 0;
-    if (!levelGroups[depth]) levelGroups[depth] = [];
-    levelGroups[depth].push([item, data]);
+function renderNodeDetail() {
+  const panel = document.getElementById('nodeDetailPanel');
+  if (!panel) return;
+  const report = LAST_PLAN_REPORT;
+  if (!GRAPH_SELECTION || !report || report.error) {
+    panel.hidden = true;
+    panel.innerHTML = "";
+    return;
+  }
+
+  const id = GRAPH_SELECTION.id;
+  const row = report.levels.flatMap(l => l.rows).find(r => r.item === id);
+  const extraction = report.extraction.find(e => e.resource === id);
+  const supplied = report.imports.find(i => importNodeId(i.item) === id);
+  const flowsIn = (report.logistics || []).filter(f => f.to === id);
+  const flowsOut = (report.logistics || []).filter(f => f.from === id);
+  const rate = row ? row.rate : flowsOut.filter(f => f.to !== null).reduce((sum, f) => sum + f.rate, 0);
+  const unit = escapeHtml(report.powerUnit);
+  const perMin = (n) => `${formatNumber(n)}/min`;
+
+  let recipeText = "Raw resource";
+  if (supplied) recipeText = "Supplied by existing production";
+  else if (row) {
+    const recipe = getRecipe(id, report.recipeChoices);
+    if (recipe) {
+      const ins = Object.entries(recipe.inputs || {}).map(([name, qty]) => `${formatNumber(qty)} ${escapeHtml(name)}`).join(" + ") || "nothing";
+      const outs = Object.entries(Object.assign({ [id]: recipe.output }, recipe.byproducts)).map(([name, qty]) => `${formatNumber(qty)} ${escapeHtml(name)}`).join(" + ");
+      recipeText = `${row.recipe && !row.defaultRecipe ? `<em>${escapeHtml(row.recipe)}</em>: ` : ""}${ins} → ${outs} every ${formatNumber(recipe.time)} s in a ${escapeHtml(recipe.building)}`;
+    }
   }
 
+  let machinesText = "—";
+  if (row && row.machines !== null) machinesText = `${formatNumber(row.machines)} (${row.built} built${row.lastUtilization !== null && row.lastUtilization < 1 ? `, last at ${formatNumber(row.lastUtilization * 100, 0)}%` : ""})`;
+  else if (extraction) machinesText = `${extraction.normal} normal extractor${extraction.normal === 1 ? "" : "s"}`;
+
+  // Inputs are named by producer, outputs by consumer; byproduct and import flows say so
+  const flowLabel = (f, side) => {
+    if (f.kind === "byproduct") return side === 'in' ? `${escapeHtml(f.from)} <small>(byproduct)</small>` : `${escapeHtml(f.item)} <small>(byproduct)</small>`;
+    if (side === 'in') return f.kind === "import" ? `${escapeHtml(f.item)} <small>(imported)</small>` : escapeHtml(f.from);
+    return f.to === null ? "<em>plan output</em>" : escapeHtml(f.to);
+  };
+  const flowList = (flows, side) => flows.length
+    ? `<ul>${flows.map(f => `<li>${flowLabel(f, side)}: ${perMin(f.rate)}${f.rails ? ` <small>(${f.rails}× ${escapeHtml(f.tier)})</small>` : ""}</li>`).join("")}</ul>`
+    : "<p>—</p>";
+
+  const fold = LAST_FOLDS[id];
+  const foldText = fold
+    ? `${fold.hidden.length} items, ${fold.machines} machines` +
+      (Object.keys(fold.rawInputs).length ? `<br><small>raw ${Object.entries(fold.rawInputs).map(([name, r]) => `${escapeHtml(name)} ${perMin(r)}`).join(", ")}</small>` : "")
+    : "";
+  const foldable = row && Object.keys(row.inputs).length;
+
+  const direction = GRAPH_SELECTION.direction;
+  panel.innerHTML = `
+    <h3>${escapeHtml(id)}</h3>
+    <div class="node-detail-direction" role="group" aria-label="Highlight">
+      <button type="button" data-direction="upstream" aria-pressed="${direction === 'upstream'}">Supply tree</button>
+      <button type="button" data-direction="downstream" aria-pressed="${direction === 'downstream'}">Consumers</button>
+    </div>
+    <dl>
+      <dt>Recipe</dt><dd>${recipeText}</dd>
+      <dt>Rate</dt><dd>${perMin(rate)}${row && row.imported > 1e-9 ? ` <small>(${perMin(row.imported)} imported)</small>` : ""}${row && row.fromByproducts > 1e-9 ? ` <small>(${perMin(row.fromByproducts)} from byproducts)</small>` : ""}</dd>
+      <dt>Machines</dt><dd>${machinesText}</dd>
+      ${row && row.power > 0 ? `<dt>Power</dt><dd>${formatNumber(row.power)} ${unit}</dd>` : ""}
+      ${fold ? `<dt>Folded</dt><dd>${foldText}</dd>` : ""}
+    </dl>
+    <h4>Inputs per minute</h4>
+    ${flowList(flowsIn, 'in')}
+    <h4>Outputs per minute</h4>
+    ${flowList(flowsOut, 'out')}
+    <p>
+      ${row ? `<button type="button" data-action="show-row">Show in table</button>` : ""}
+      ${foldable ? `<button type="button" data-action="fold">${fold ? "Unfold" : "Fold"} supply tree</button>` : ""}
+      <button type="button" data-action="close">Close</button>
+    </p>
+  `;
+  panel.hidden = false;
+}
+
+/* ===============================
+   Render table + graph
+   =============================== */
+
+// Rail speed and policy from the controls, as taken by buildPlanReport and railsFor (calc.js)
+function readRailOptions() {
+  const railSpeed = parseInt(document.getElementById("railSelect")?.value || 0);
+  const policy = document.getElementById("railPolicySelect")?.value;
+  return { railSpeed, railPolicy: RAIL_POLICIES.includes(policy) ? policy : 'fixed' };
+}
+
+// Heading text for a plan, e.g. "30 / min of Superconductor + 10 / min of Heat Shield"
+function describeTargets(targets) {
+  return (targets || []).map(t => `${escapeHtml(String(t.rate))} / min of ${escapeHtml(t.item)}`).join(" + ");
+}
+
+// options.preface: extra HTML shown under the heading (e.g. reverse-calculation summary)
+function renderTable(chainObj, targets, options = {}) {
+  const { chain } = chainObj;
+  LAST_PLAN_REPORT = null;
+
+  if (chainObj.error) {
+    const out = document.getElementById("outputArea");
+    if (out) out.innerHTML = `<p style="color:red;">${escapeHtml(chainObj.error)}</p>`;
+    return;
+  }
+
+  // Loops are solved as a linear system; say so above the table
+  const loopNote = (chainObj.cycles || []).length
+    ? `<p class="plan-note">Recipe loop solved as a linear system: ${chainObj.cycles.map(c => c.map(escapeHtml).join(" → ")).join("; ")}</p>`
+    : "";
+  options = Object.assign({}, options, { preface: (options.preface || "") + loopNote });
+  const planTargets = targets || chainObj.targets || [];
+  const rootItem = planTargets.length ? planTargets[0].item : null;
+
+  // Build graph data (nodes + links) and ensure depths are attached; collapsed subtrees are folded away
+  const graph = buildGraphData(chain, rootItem, chainObj.imports);
+  const folded = foldSubtrees(graph.nodes || [], graph.links || [], COLLAPSED_NODES);
+  const nodes = folded.nodes;
+  const links = folded.links;
+  LAST_FOLDS = folded.folds;
+  const foldedRows = new Set(Object.values(LAST_FOLDS).flatMap(f => f.hidden));
+
+  // Same level grouping and totals as the text exports (calc.js)
+  const railOptions = readRailOptions();
+  const report = buildPlanReport(chainObj, railOptions);
+  LAST_PLAN_REPORT = report;
+  for (const link of links) link.rails = railsFor(link.rate, railOptions);
+  const powerUnit = escapeHtml(report.powerUnit);
+
   // If there are no non-raw items, ensure we still render something sensible
-  const uniqueDepths = Object.keys(levelGroups).map(Number);
-  if (uniqueDepths.length === 0) {
+  if (report.levels.length === 0) {
     // Nothing to show in table (all raw or empty chain)
     const graphHTML = renderGraph(nodes, links, rootItem);
     const graphArea = document.getElementById("graphArea");
@@ -1386,18 +1154,10 @@ function renderTable(chainObj, rootItem, rate) {
     attachNodePointerHandlers(wrapper);
 
     const out = document.getElementById("outputArea");
-    if (out) out.innerHTML = `<h2>Production chain for ${escapeHtml(String(rate))} / min of ${escapeHtml(rootItem)}</h2><p>No non-raw items to display in the table.</p>`;
+    if (out) out.innerHTML = `<h2>Production chain for ${describeTargets(planTargets)}</h2>${options.preface || ""}<p>No non-raw items to display in the table.</p>`;
     return;
   }
 
-  // Normalize depths to sequential level numbers starting at 0 (lowest depth -> Level 0)
-  const depthsAsc = uniqueDepths.slice().sort((a,b) => a - b); // ascending
-  const depthToLevelIndex = {};
-  depthsAsc.forEach((d, idx) => { depthToLevelIndex[d] = idx; });
-
-  // Render order: visually show highest depth first (descending)
-  const sortedDepthsDesc = depthsAsc.slice().sort((a,b) => b - a);
-
   // Build graph HTML area first (so graph renders above/beside table as before)
   const graphHTML = renderGraph(nodes, links, rootItem);
 
@@ -1419,7 +1179,8 @@ function renderTable(chainObj, rootItem, rate) {
 
   // Build table HTML
   let html = `
-    <h2>Production chain for ${escapeHtml(String(rate))} / min of ${escapeHtml(rootItem)}</h2>
+    <h2>Production chain for ${describeTargets(planTargets)}</h2>
+    ${options.preface || ""}
     <table>
       <thead>
         <tr>
@@ -1427,56 +1188,84 @@ function renderTable(chainObj, rootItem, rate) {
           <th>Qty/min</th>
           <th>Output/machine</th>
           <th>Machines</th>
+          <th>Built</th>
+          <th>Last machine</th>
+          <th>Power</th>
           <th>Machine Type</th>
           <th>Inputs (per min)</th>
-          <th>Rails Needed</th>
+          <th>Rails In</th>
+          <th>Rails Out</th>
         </tr>
       </thead>
       <tbody>
   `;
 
-  // Render levels from highest to lowest, but label them using normalized Level indices
-  for (const depth of sortedDepthsDesc) {
-    const rows = levelGroups[depth] || [];
-    if (!rows.length) continue;
-
-    const levelLabel = depthToLevelIndex[depth] ?? 0;
-    html += `<tr><td colspan="7"><strong>--- Level ${levelLabel} ---</strong></td></tr>`;
+  // Levels come highest first, labelled from Level 0 at the bottom
+  for (const { level, rows } of report.levels) {
+    const shownRows = rows.filter(row => !foldedRows.has(row.item));
+    if (!shownRows.length) continue;
+    html += `<tr><td colspan="11"><strong>--- Level ${level} ---</strong></td></tr>`;
 
-    // Sort items alphabetically within the level for stable ordering
-    rows.sort((a,b) => a[0].localeCompare(b[0], undefined, { sensitivity: 'base' }));
-
-    for (const [item, data] of rows) {
-      // data.raw already filtered out above
-      let outputPerMachine = "—";
-      let machines = "—";
-      let railsNeeded = "—";
-      const fillColor = MACHINE_COLORS[data.building] || "#ecf0f1";
+    for (const row of shownRows) {
+      const item = row.item;
+      const fillColor = MACHINE_COLORS[row.building] || "#ecf0f1";
       const textColor = getTextColor(fillColor);
-
-      const recipe = getRecipe(item);
-      if (recipe && recipe.output && recipe.time) {
-        outputPerMachine = Math.ceil((recipe.output * 60) / recipe.time);
-      }
-      machines = Number.isFinite(Number(data.machines)) ? Math.ceil(data.machines) : "—";
-      const railSpeed = parseInt(document.getElementById("railSelect")?.value || 0);
-      railsNeeded = computeRailsNeeded(data.inputs || {}, railSpeed);
+      const outputPerMachine = row.outputPerMachine === null ? "—" : formatNumber(row.outputPerMachine);
+      const machines = row.machines === null ? "—" : formatNumber(row.machines);
+      const built = row.built === null ? "—" : row.built;
+      const lastUtilization = row.lastUtilization === null ? "—" : `${formatNumber(row.lastUtilization * 100, 0)}%`;
+      const railsIn = row.railsIn === null ? "—" : row.railsIn;
+      const railsOut = row.railsOut === null ? "—" : row.railsOut;
 
       // Inputs: list each input as "Name: X/min" sorted by name; include raw inputs if present
-      const inputsList = Object.entries(data.inputs || {})
-        .sort((a,b) => a[0].localeCompare(b[0], undefined, { sensitivity: 'base' }))
-        .map(([iname, amt]) => `${escapeHtml(iname)}: ${Math.ceil(amt)}/min`)
+      const inputsList = Object.entries(row.inputs)
+        .map(([iname, amt]) => `${escapeHtml(iname)}: ${formatNumber(amt)}/min`)
         .join("<br>") || "—";
 
+      // Built draw, with the utilized share underneath when a machine runs partially
+      const powerCell = row.power > 0
+        ? `${formatNumber(row.power)} ${powerUnit}` +
+          (row.powerUsed < row.power - 1e-9 ? `<br><small>${formatNumber(row.powerUsed)} in use</small>` : "")
+        : "—";
+
+      // Items with alternates get a per-plan recipe picker
+      const recipeOptions = getRecipeOptions(item);
+      const recipePicker = recipeOptions.length > 1
+        ? `<br><select class="recipe-choice" data-item="${escapeHtml(item)}" aria-label="Recipe for ${escapeHtml(item)}">` +
+          recipeOptions.map(r => `<option value="${escapeHtml(r.name)}"${r.name === row.recipe ? " selected" : ""}>${escapeHtml(r.name)}${r.default ? " (default)" : ""}</option>`).join("") +
+          `</select>`
+        : "";
+
+      // Byproducts this row makes, and demand already covered by other rows' byproducts
+      const byproductNotes = Object.entries(row.byproducts)
+        .map(([b, amt]) => `<br><small>also makes ${escapeHtml(b)}: ${formatNumber(amt)}/min</small>`).join("") +
+        (row.fromByproducts > 1e-9 ? `<br><small>${formatNumber(row.fromByproducts)}/min from byproducts</small>` : "") +
+        (row.imported > 1e-9 ? `<br><small>${formatNumber(row.imported)}/min imported</small>` : "");
+
+      // Rows with inputs can fold their supply subtree into themselves
+      const fold = LAST_FOLDS[item];
+      const foldNote = fold
+        ? `<br><small>+${fold.hidden.length} folded: ${fold.machines} machines` +
+          (Object.keys(fold.rawInputs).length ? `; raw ${Object.entries(fold.rawInputs).map(([name, rate]) => `${escapeHtml(name)} ${formatNumber(rate)}/min`).join(", ")}` : "") +
+          `</small>`
+        : "";
+      const foldButton = Object.keys(row.inputs).length
+        ? ` <button type="button" class="fold-toggle" data-item="${escapeHtml(item)}" title="${fold ? "Show" : "Hide"} the rows that only feed ${escapeHtml(item)}">${fold ? "Unfold" : "Fold"}</button>`
+        : "";
+
       html += `
-        <tr>
-          <td>${escapeHtml(item)}</td>
-          <td>${Math.ceil(data.rate || 0)}</td>
+        <tr data-item="${escapeHtml(item)}">
+          <td>${escapeHtml(item)}${RECIPE_OVERRIDES[item] ? ` <span class="override-badge" title="Edited in the recipe editor">local override</span>` : ""}${foldButton}${recipePicker}${byproductNotes}${foldNote}</td>
+          <td>${formatNumber(row.rate)}</td>
           <td>${outputPerMachine}</td>
           <td>${machines}</td>
-          <td style="background-color:${fillColor}; color:${textColor};">${escapeHtml(data.building || "—")}</td>
+          <td>${built}</td>
+          <td>${lastUtilization}</td>
+          <td>${powerCell}</td>
+          <td style="background-color:${fillColor}; color:${textColor};">${escapeHtml(row.building || "—")}</td>
           <td>${inputsList}</td>
-          <td>${railsNeeded}</td>
+          <td>${railsIn}</td>
+          <td>${railsOut}</td>
         </tr>
       `;
     }
@@ -1484,69 +1273,1515 @@ function renderTable(chainObj, rootItem, rate) {
 
   html += `</tbody></table>`;
 
-  // Machines required summary (unchanged)
+  // Machines required summary: exact requirement vs built count per building type
   html += `
     <h3>MACHINES REQUIRED (total)</h3>
     <table>
-      <thead><tr><th>Machine Type</th><th>Count</th></tr></thead>
+      <thead><tr><th>Machine Type</th><th>Required</th><th>Built</th><th>Utilization</th><th>Power (built)</th><th>Power (in use)</th></tr></thead>
       <tbody>
-        ${Object.entries(machineTotals || {}).sort((a, b) => b[1] - a[1]).map(([type, count]) => `
-          <tr><td>${escapeHtml(type)}</td><td>${Math.ceil(count)}</td></tr>
+        ${report.machines.map(m => `
+          <tr><td>${escapeHtml(m.type)}</td><td>${formatNumber(m.required)}</td><td>${m.built}</td><td>${m.utilization === null ? "—" : `${formatNumber(m.utilization * 100, 0)}%`}</td><td>${formatNumber(m.powerBuilt)} ${powerUnit}</td><td>${formatNumber(m.powerUsed)} ${powerUnit}</td></tr>
         `).join("")}
       </tbody>
     </table>
   `;
 
-  // Extraction summary (unchanged)
+  // Power summary: idle draw of partially used machines is listed apart from the built total
+  const power = report.power;
+  html += `
+    <h3>POWER REQUIRED</h3>
+    ${report.powerPlaceholder ? `<p class="plan-note">${escapeHtml(POWER_PLACEHOLDER_NOTE)}</p>` : ""}
+    <table>
+      <thead><tr><th>Source</th><th>Power</th></tr></thead>
+      <tbody>
+        <tr><td>Machines (built)</td><td>${formatNumber(power.built)} ${powerUnit}</td></tr>
+        <tr><td>Machines (in use)</td><td>${formatNumber(power.used)} ${powerUnit}</td></tr>
+        <tr><td>Idle capacity of partial machines</td><td>${formatNumber(power.idle)} ${powerUnit}</td></tr>
+        <tr><td>Extractors (normal nodes)</td><td>${formatNumber(power.extractors)} ${powerUnit}</td></tr>
+        <tr><td><strong>Total (built + extractors)</strong></td><td><strong>${formatNumber(power.total)} ${powerUnit}</strong></td></tr>
+      </tbody>
+    </table>
+  `;
+
+  // Extraction summary (special extractors only have a normal rate)
   html += `
     <h3>EXTRACTION REQUIRED</h3>
     <table>
       <thead>
-        <tr><th>Resource</th><th>Impure</th><th>Normal</th><th>Pure</th><th>Qty/min</th></tr>
+        <tr><th>Resource</th><th>Impure</th><th>Normal</th><th>Pure</th><th>Qty/min</th><th>Power (normal)</th></tr>
       </thead>
       <tbody>
+        ${report.extraction.map(e => `
+          <tr><td>${escapeHtml(e.resource)}</td><td>${e.impure ?? "—"}</td><td>${e.normal}</td><td>${e.pure ?? "—"}</td><td>${e.qty}</td><td>${formatNumber(e.power)} ${powerUnit}</td></tr>
+        `).join("")}
+      </tbody>
+    </table>
   `;
 
-  const sortedExtractors = Object.entries(extractorTotals || {}).filter(([_, qty]) => qty > 0).sort((a, b) => b[1] - a[1]);
-  for (const [resource, qty] of sortedExtractors) {
-    const rounded = Math.ceil(qty);
-    if (SPECIAL_EXTRACTORS[resource]) {
-      const normal = Math.ceil(rounded / SPECIAL_EXTRACTORS[resource]);
-      html += `<tr><td>${escapeHtml(resource)}</td><td>—</td><td>${normal}</td><td>—</td><td>${rounded}</td></tr>`;
-    } else {
-      const impure = Math.ceil(rounded / 60);
-      const normal = Math.ceil(rounded / 120);
-      const pure = Math.ceil(rounded / 240);
-      html += `<tr><td>${escapeHtml(resource)}</td><td>${impure}</td><td>${normal}</td><td>${pure}</td><td>${rounded}</td></tr>`;
-    }
+  // Logistics: every producer -> consumer link on its own rails
+  if (report.logistics.length) {
+    html += `
+      <h3>LOGISTICS</h3>
+      <table>
+        <thead><tr><th>From</th><th>To</th><th>Item</th><th>Rate/min</th><th>Rail</th><th>Rails</th></tr></thead>
+        <tbody>
+          ${report.logistics.map(f => `
+            <tr>
+              <td>${escapeHtml(f.from)}</td>
+              <td>${f.to === null ? "<em>plan output</em>" : escapeHtml(f.to)}</td>
+              <td>${escapeHtml(f.item)}${f.kind === "byproduct" ? " <small>(byproduct)</small>" : ""}</td>
+              <td>${formatNumber(f.rate)}</td>
+              <td>${escapeHtml(f.tier || "—")}</td>
+              <td>${f.rails ?? "—"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
   }
 
-  html += `</tbody></table>`;
+  // Imports: declared supply consumed by the plan
+  if (report.imports.length) {
+    html += `
+      <h3>IMPORTS</h3>
+      <table>
+        <thead><tr><th>Item</th><th>Used/min</th><th>Available/min</th><th>Unused/min</th></tr></thead>
+        <tbody>
+          ${report.imports.map(imp => `
+            <tr>
+              <td>${escapeHtml(imp.item)}</td>
+              <td>${formatNumber(imp.used)}</td>
+              <td>${formatNumber(imp.available)}</td>
+              <td>${formatNumber(imp.unused)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Surplus: unused byproducts and spare capacity from rounding machines up
+  if (report.surplus.length) {
+    html += `
+      <h3>SURPLUS</h3>
+      <table>
+        <thead><tr><th>Item</th><th>Unused byproduct/min</th><th>Spare capacity/min</th><th>Byproduct of</th></tr></thead>
+        <tbody>
+          ${report.surplus.map(sp => `
+            <tr>
+              <td>${escapeHtml(sp.item)}</td>
+              <td>${sp.byproduct > 0 ? formatNumber(sp.byproduct) : "—"}</td>
+              <td>${sp.rounding > 0 ? formatNumber(sp.rounding) : "—"}</td>
+              <td>${sp.sources.map(escapeHtml).join(", ") || "—"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
 
   // Inject into output area
   const out = document.getElementById("outputArea");
-  if (out) out.innerHTML = html;
+  if (out) {
+    out.innerHTML = html;
+    out.querySelectorAll('select.recipe-choice').forEach(sel => {
+      sel.addEventListener('change', () => {
+        setRecipeChoice(sel.dataset.item, sel.value);
+        // A hand-picked recipe overrides the optimizer, so keep it rather than re-optimizing
+        const modeSelect = document.getElementById('modeSelect');
+        if (modeSelect && modeSelect.value === 'optimize') { modeSelect.value = 'rate'; updateModeUI(); }
+        runCalculator();
+      });
+    });
+    out.querySelectorAll('button.fold-toggle').forEach(btn => {
+      btn.addEventListener('click', () => toggleFold(btn.dataset.item));
+    });
+  }
+}
+
+/* ===============================
+   Recipe editor (local overrides)
+   - Edited or new items are stored in localStorage ("recipeOverrides:<dataset id>") as whole
+     recipes.json entries and replace the shipped entry when that dataset loads
+   - Overrides saved before datasets existed ("recipeOverrides") belong to the default dataset
+   - The overrides can be downloaded as a patch to merge into data/recipes.json
+   =============================== */
+const RECIPE_OVERRIDES_KEY = 'recipeOverrides';
+const NEW_ITEM_VALUE = "__new__";
+
+function recipeOverridesKey(datasetId = ACTIVE_DATASET?.id) {
+  return `${RECIPE_OVERRIDES_KEY}:${datasetId || (DATASETS || DEFAULT_DATASETS).default}`;
+}
+
+// Moves overrides from the old single key to the default dataset's key (once)
+function migrateRecipeOverrides() {
+  const legacy = localStorage.getItem(RECIPE_OVERRIDES_KEY);
+  if (legacy === null) return;
+  const target = recipeOverridesKey((DATASETS || DEFAULT_DATASETS).default);
+  if (localStorage.getItem(target) === null) localStorage.setItem(target, legacy);
+  localStorage.removeItem(RECIPE_OVERRIDES_KEY);
+}
+
+function loadRecipeOverrides() {
+  migrateRecipeOverrides();
+  try {
+    const stored = JSON.parse(localStorage.getItem(recipeOverridesKey()) || "{}");
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+    return Object.fromEntries(Object.entries(stored).filter(([item, entry]) => !item.startsWith('_') && entry && typeof entry === 'object'));
+  } catch (e) {
+    console.warn("Ignoring unreadable recipe overrides:", e);
+    return {};
+  }
+}
+
+function applyRecipeOverrides(data, overrides) {
+  if (!data || typeof data !== 'object') return data;
+  return Object.assign({}, data, overrides);
+}
+
+// Persist the overrides and reload so tiers, selects and the current plan pick them up
+async function storeRecipeOverrides(overrides) {
+  localStorage.setItem(recipeOverridesKey(), JSON.stringify(overrides));
+  await reloadRecipes();
+  if (LAST_PLAN_REPORT) runCalculator();
+}
+
+function addEditorInputRow(name = "", qty = "") {
+  const container = document.getElementById('editorInputs');
+  if (!container) return null;
+  const row = document.createElement('div');
+  row.className = 'target-row editor-input-row';
+  row.innerHTML = `
+    <input type="text" class="editor-input-name" list="editorItemNames" placeholder="Input item" aria-label="Input item" />
+    <input type="number" class="editor-input-qty" min="0" step="any" placeholder="Qty" aria-label="Input quantity" />
+    <button type="button" class="target-remove" aria-label="Remove input">✕</button>
+  `;
+  row.querySelector('.editor-input-name').value = name;
+  row.querySelector('.editor-input-qty').value = qty;
+  row.querySelector('.target-remove').addEventListener('click', () => row.remove());
+  container.appendChild(row);
+  return row;
+}
+
+// Fill the item picker, name suggestions and the list of current overrides
+function refreshRecipeEditor() {
+  const itemSelect = document.getElementById('editorItemSelect');
+  if (!itemSelect) return;
+  const prev = itemSelect.value;
+  const items = getSortedItemNames();
+  itemSelect.innerHTML = `<option value="${NEW_ITEM_VALUE}">New item…</option>` +
+    items.map(it => `<option value="${escapeHtml(it)}">${escapeHtml(it)}${RECIPE_OVERRIDES[it] ? " (override)" : ""}</option>`).join("");
+  itemSelect.value = (prev && (prev === NEW_ITEM_VALUE || items.includes(prev))) ? prev : (items[0] || NEW_ITEM_VALUE);
+
+  const names = document.getElementById('editorItemNames');
+  if (names) names.innerHTML = items.concat(getRawResources().filter(r => !RECIPES[r])).map(n => `<option value="${escapeHtml(n)}"></option>`).join("");
+  const buildings = document.getElementById('editorBuildings');
+  if (buildings) {
+    const known = new Set(Object.keys(MACHINE_COLORS).concat(Object.keys(RECIPES._power?.buildings || {})));
+    buildings.innerHTML = [...known].sort().map(b => `<option value="${escapeHtml(b)}"></option>`).join("");
+  }
+
+  const list = document.getElementById('overrideList');
+  if (list) {
+    const overridden = Object.keys(RECIPE_OVERRIDES).sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    list.innerHTML = overridden.length
+      ? overridden.map(item => `<li>${escapeHtml(item)} <button type="button" data-revert="${escapeHtml(item)}">Revert</button></li>`).join("")
+      : `<li>No local overrides.</li>`;
+  }
+  loadEditorRecipe();
+}
+
+// Show the selected item's (or alternate's) recipe in the form
+function loadEditorRecipe() {
+  const item = document.getElementById('editorItemSelect')?.value;
+  const isNew = item === NEW_ITEM_VALUE;
+  const newName = document.getElementById('editorNewName');
+  if (newName) newName.hidden = !isNew;
+
+  const recipeSelect = document.getElementById('editorRecipeSelect');
+  const options = isNew ? [] : getRecipeOptions(item);
+  if (recipeSelect) {
+    const prev = recipeSelect.value;
+    recipeSelect.innerHTML = options.map(r => `<option value="${escapeHtml(r.name)}">${escapeHtml(r.name)}</option>`).join("");
+    if (options.some(r => r.name === prev)) recipeSelect.value = prev;
+    recipeSelect.hidden = options.length <= 1;
+  }
+  const recipe = options.find(r => r.name === recipeSelect?.value) || options[0] || null;
+
+  const inputs = document.getElementById('editorInputs');
+  if (inputs) inputs.innerHTML = "";
+  for (const [name, qty] of Object.entries(recipe?.inputs || {})) addEditorInputRow(name, qty);
+  if (!recipe) addEditorInputRow();
+  document.getElementById('editorOutput').value = recipe ? recipe.output : "";
+  document.getElementById('editorTime').value = recipe ? recipe.time : "";
+  document.getElementById('editorBuilding').value = recipe ? recipe.building || "" : "";
+}
+
+// The edited recipe as a recipes.json entry for the item, or an error message
+function readEditorEntry() {
+  const selected = document.getElementById('editorItemSelect')?.value;
+  const isNew = selected === NEW_ITEM_VALUE;
+  const item = isNew ? (document.getElementById('editorNewName')?.value || "").trim() : selected;
+  if (!item) return { error: "Enter a name for the new item." };
+  if (item.startsWith('_')) return { error: "Item names cannot start with \"_\"." };
+  if (isNew && /["']/.test(item)) return { error: "Item names cannot contain quotes." };
+  if (isNew && RECIPES[item]) return { error: `${item} already exists; pick it from the list to edit it.` };
+
+  const inputs = {};
+  for (const row of document.querySelectorAll('#editorInputs .editor-input-row')) {
+    const name = row.querySelector('.editor-input-name').value.trim();
+    const qty = Number(row.querySelector('.editor-input-qty').value);
+    if (!name) continue;
+    if (/["']/.test(name) && !RECIPES[name] && !getRawResources().includes(name)) return { error: `Input names cannot contain quotes (${name}).` };
+    if (!(qty > 0)) return { error: `Enter a positive quantity for ${name}.` };
+    if (name === item) return { error: "An item cannot be its own input here; use a loop through another item." };
+    inputs[name] = (inputs[name] || 0) + qty;
+  }
+  if (!Object.keys(inputs).length) return { error: "Add at least one input." };
+  const output = Number(document.getElementById('editorOutput').value);
+  const time = Number(document.getElementById('editorTime').value);
+  const building = document.getElementById('editorBuilding').value.trim();
+  if (!(output > 0)) return { error: "Output must be a positive number." };
+  if (!(time > 0)) return { error: "Time must be a positive number of seconds." };
+  if (!building) return { error: "Enter the building that makes it." };
+
+  // Keep everything the form does not edit (alternate names, byproducts, ...)
+  const current = RECIPES[item];
+  const withOutput = (base) => {
+    const next = Object.assign({}, base, { inputs, time, building });
+    if (base.outputs) next.outputs = Object.assign({}, base.outputs, { [item]: output });
+    else next.output = output;
+    return next;
+  };
+  if (current && Array.isArray(current.recipes)) {
+    const name = document.getElementById('editorRecipeSelect')?.value;
+    return { item, entry: Object.assign({}, current, { recipes: current.recipes.map(r => r.name === name ? withOutput(r) : r) }) };
+  }
+  return { item, entry: withOutput(current || {}) };
+}
+
+async function saveEditorRecipe() {
+  const { item, entry, error } = readEditorEntry();
+  if (error) {
+    showToast(error);
+    return;
+  }
+  const overrides = loadRecipeOverrides();
+  overrides[item] = entry;
+  const select = document.getElementById('editorItemSelect');
+  await storeRecipeOverrides(overrides);
+  if (select) { select.value = item; loadEditorRecipe(); }
+  showToast(`Saved local override for ${item}`);
+}
+
+async function revertRecipeOverride(item) {
+  const overrides = loadRecipeOverrides();
+  if (!overrides[item]) return;
+  delete overrides[item];
+  await storeRecipeOverrides(overrides);
+  showToast(`${item} uses the shipped recipe again`);
+}
+
+async function clearRecipeOverrides() {
+  if (!Object.keys(loadRecipeOverrides()).length || !confirm("Remove all local recipe overrides?")) return;
+  await storeRecipeOverrides({});
+}
+
+function exportRecipeOverrides() {
+  const overrides = loadRecipeOverrides();
+  if (!Object.keys(overrides).length) {
+    showToast("There are no local overrides to export.");
+    return;
+  }
+  downloadFile("recipe-overrides.json", JSON.stringify(overrides, null, 2) + "\n", "application/json;charset=utf-8");
+}
+
+/* ===============================
+   Recipe data check
+   - Lists validateRecipes (calc.js) findings in the collapsible #validationPanel
+   =============================== */
+function renderValidationIssues(issues) {
+  const panel = document.getElementById('validationPanel');
+  const list = document.getElementById('validationList');
+  if (!panel || !list) return;
+  panel.hidden = !issues.length;
+  if (!issues.length) return;
+
+  const errors = issues.filter(i => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  const summary = panel.querySelector('summary');
+  if (summary) summary.textContent = `Recipe data check: ${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+  panel.open = errors > 0;
+  list.innerHTML = issues.map(i =>
+    `<li class="validation-${i.severity}"><strong>${i.severity}</strong> ${i.item ? `${escapeHtml(i.item)}: ` : ""}${escapeHtml(i.message)}</li>`
+  ).join("");
+}
+
+function checkRecipeData() {
+  const issues = validateRecipes();
+  for (const issue of issues) {
+    (issue.severity === "error" ? console.error : console.warn)("Recipe data:", issue.item || "", issue.message);
+  }
+  renderValidationIssues(issues);
+  const errors = issues.filter(i => i.severity === "error").length;
+  if (errors) showToast(`Recipe data has ${errors} error${errors === 1 ? "" : "s"}; see the data check below the controls.`);
+  return issues;
+}
+
+/* ===============================
+   Plan targets (primary controls + extra target rows)
+   =============================== */
+function getSortedItemNames() {
+  return Object.keys(RECIPES || {}).filter(k => typeof k === 'string' && !k.startsWith('_')).sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+function populateItemSelect(select, selected) {
+  if (!select) return;
+  const items = getSortedItemNames();
+  select.innerHTML = `<option value="" disabled>Select Item Here</option>` +
+    items.map(it => `<option value="${escapeHtml(it)}">${escapeHtml(it)}</option>`).join("");
+  select.value = (selected && items.includes(selected)) ? selected : "";
+  attachItemPicker(select);
+}
+
+// Natural output of one machine for an item, rounded to whole units per minute
+function getNaturalPerMin(item) {
+  const recipe = getRecipe(item, RECIPE_CHOICES);
+  if (!recipe || !recipe.output || !recipe.time) return null;
+  return Math.round((recipe.output / recipe.time) * 60);
+}
+
+/* ===============================
+   Item picker
+   - Search box over an item <select>; the select stays the source of truth and
+     still fires "change", so readers of .value are unaffected
+   - Fuzzy matches item (and building) names; with no query, lists recently picked
+     items ("recentItems") and then every item grouped by building or tier ("itemPickerGroup")
+   - Each entry shows its building, natural rate and the recipes that consume it
+   =============================== */
+const RECENT_ITEMS_KEY = 'recentItems';
+const RECENT_ITEMS_LIMIT = 6;
+const ITEM_PICKER_GROUP_KEY = 'itemPickerGroup';
+const ITEM_PICKERS = new WeakMap();
+
+function getRecentItems() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_ITEMS_KEY) || "[]");
+    return Array.isArray(stored) ? stored.filter(item => typeof item === 'string' && RECIPES[item]) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function rememberRecentItem(item) {
+  if (!item) return;
+  const recent = [item, ...getRecentItems().filter(i => i !== item)].slice(0, RECENT_ITEMS_LIMIT);
+  localStorage.setItem(RECENT_ITEMS_KEY, JSON.stringify(recent));
+}
+
+function getItemPickerGrouping() {
+  return localStorage.getItem(ITEM_PICKER_GROUP_KEY) === 'tier' ? 'tier' : 'building';
+}
+
+// Letters of the query must appear in order; runs, word starts and plain substrings score higher.
+// Returns null when the text does not match.
+function fuzzyScore(query, text) {
+  const q = String(query).toLowerCase().replace(/\s+/g, "");
+  if (!q) return 0;
+  const t = String(text).toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found < 0) return null;
+    score += 1;
+    if (found === previous + 1) score += 3;
+    if (found === 0 || /[\s\-(]/.test(t[found - 1])) score += 4;
+    previous = found;
+    from = found + 1;
+  }
+  const phrase = String(query).toLowerCase().trim();
+  if (t.startsWith(phrase)) score += 12;
+  else if (t.includes(phrase)) score += 8;
+  // Prefer shorter names among equal matches
+  return score - t.length / 100;
+}
+
+function itemPickerEntry(item) {
+  const recipe = getRecipe(item, RECIPE_CHOICES);
+  const tier = Number(TIERS[item]);
+  return {
+    item,
+    building: recipe?.building || "Other",
+    tier: Number.isFinite(tier) ? tier : 0,
+    natural: getNaturalPerMin(item),
+    consumers: findConsumers(item)
+  };
+}
+
+function describeConsumer(c) {
+  return c.default ? c.item : `${c.item} (${c.recipe})`;
+}
+
+function renderItemPickerOption(entry, id) {
+  const used = entry.consumers.map(describeConsumer);
+  const meta = [
+    escapeHtml(entry.building),
+    entry.natural !== null ? `${formatNumber(entry.natural)}/min per machine` : "",
+    used.length
+      ? `used by ${escapeHtml(used.slice(0, 3).join(", "))}${used.length > 3 ? ` +${used.length - 3} more` : ""}`
+      : "not used in any recipe"
+  ].filter(Boolean).join(" · ");
+  return `
+    <div class="item-picker-option" role="option" id="${id}" data-item="${escapeHtml(entry.item)}" aria-selected="false"
+         title="${escapeHtml(used.length ? `Used by: ${used.join(", ")}` : "Not used in any recipe")}">
+      <span class="item-picker-name">${escapeHtml(entry.item)}</span>
+      <span class="item-picker-meta">${meta}</span>
+    </div>`;
+}
+
+// Groups of entries for the list: search results by score, otherwise recent items then building/tier groups
+function itemPickerGroups(entries, query) {
+  if (query.trim()) {
+    const scored = [];
+    for (const entry of entries) {
+      const nameScore = fuzzyScore(query, entry.item);
+      const buildingScore = fuzzyScore(query, entry.building);
+      const score = Math.max(nameScore ?? -Infinity, buildingScore === null ? -Infinity : buildingScore / 2);
+      if (score > -Infinity) scored.push({ entry, score });
+    }
+    scored.sort((a, b) => b.score - a.score || a.entry.item.localeCompare(b.entry.item));
+    return [{ label: scored.length ? "Matches" : "No matching items", entries: scored.map(s => s.entry) }];
+  }
+
+  const groups = [];
+  const byItem = new Map(entries.map(e => [e.item, e]));
+  const recent = getRecentItems().map(item => byItem.get(item)).filter(Boolean);
+  if (recent.length) groups.push({ label: "Recent", entries: recent });
+
+  const grouping = getItemPickerGrouping();
+  const keyed = new Map();
+  for (const entry of entries) {
+    const key = grouping === 'tier' ? entry.tier : entry.building;
+    if (!keyed.has(key)) keyed.set(key, []);
+    keyed.get(key).push(entry);
+  }
+  const keys = [...keyed.keys()].sort((a, b) => grouping === 'tier' ? a - b : String(a).localeCompare(String(b)));
+  for (const key of keys) groups.push({ label: grouping === 'tier' ? `Tier ${key}` : key, entries: keyed.get(key) });
+  return groups;
+}
+
+// Wraps an item <select> with the picker (once) and shows its current value
+function attachItemPicker(select) {
+  if (!select) return;
+  if (ITEM_PICKERS.has(select)) {
+    ITEM_PICKERS.get(select).sync();
+    return;
+  }
+
+  const listId = `itemPickerList${Math.random().toString(36).slice(2, 8)}`;
+  const picker = document.createElement('div');
+  picker.className = 'item-picker';
+  picker.innerHTML = `
+    <input type="search" class="item-picker-input" role="combobox" autocomplete="off" spellcheck="false"
+           aria-autocomplete="list" aria-expanded="false" aria-controls="${listId}" placeholder="Search items…" />
+    <div class="item-picker-popup" hidden>
+      <div class="item-picker-grouping" role="group" aria-label="Group items by">
+        Group by
+        <button type="button" data-group="building">Building</button>
+        <button type="button" data-group="tier">Tier</button>
+      </div>
+      <div class="item-picker-list" id="${listId}" role="listbox"></div>
+    </div>
+  `;
+  select.hidden = true;
+  select.after(picker);
+
+  const input = picker.querySelector('.item-picker-input');
+  const popup = picker.querySelector('.item-picker-popup');
+  const list = picker.querySelector('.item-picker-list');
+  // Keep the visible <label for> pointing at something focusable
+  if (select.id) {
+    input.id = `${select.id}Search`;
+    document.querySelector(`label[for="${select.id}"]`)?.setAttribute('for', input.id);
+  }
+
+  let entries = [];
+  let active = -1;
+
+  const options = () => [...list.querySelectorAll('.item-picker-option')];
+  const sync = () => { input.value = select.value || ""; };
+
+  function setActive(index) {
+    const all = options();
+    active = all.length ? Math.max(0, Math.min(index, all.length - 1)) : -1;
+    all.forEach((el, i) => el.setAttribute('aria-selected', i === active ? 'true' : 'false'));
+    const current = all[active];
+    if (current) {
+      input.setAttribute('aria-activedescendant', current.id);
+      current.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function render() {
+    const query = input.value === select.value ? "" : input.value;
+    const grouping = getItemPickerGrouping();
+    picker.querySelectorAll('.item-picker-grouping button').forEach(b => {
+      b.setAttribute('aria-pressed', b.dataset.group === grouping ? 'true' : 'false');
+    });
+    let n = 0;
+    list.innerHTML = itemPickerGroups(entries, query).map(group => `
+      <div class="item-picker-group" role="presentation">${escapeHtml(group.label)}</div>
+      ${group.entries.map(entry => renderItemPickerOption(entry, `${listId}-${n++}`)).join("")}
+    `).join("");
+    const current = options().findIndex(el => el.dataset.item === select.value);
+    setActive(query ? 0 : current);
+  }
+
+  function open() {
+    if (!popup.hidden) return;
+    entries = getSortedItemNames().map(itemPickerEntry);
+    popup.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    render();
+    input.select();
+  }
+
+  function close() {
+    popup.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    sync();
+  }
+
+  function choose(item) {
+    if (!item) return;
+    rememberRecentItem(item);
+    const changed = select.value !== item;
+    select.value = item;
+    close();
+    if (changed) select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  input.addEventListener('focus', open);
+  input.addEventListener('click', open);
+  input.addEventListener('input', () => { open(); render(); });
+  input.addEventListener('blur', () => close());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (popup.hidden) open();
+      else setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      if (popup.hidden) return;
+      e.preventDefault();
+      choose(options()[active]?.dataset.item);
+    } else if (e.key === 'Escape' && !popup.hidden) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  // mousedown keeps focus in the input, so blur does not close the list first
+  popup.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    const groupBtn = e.target.closest('.item-picker-grouping button');
+    if (groupBtn) {
+      localStorage.setItem(ITEM_PICKER_GROUP_KEY, groupBtn.dataset.group);
+      render();
+      return;
+    }
+    choose(e.target.closest('.item-picker-option')?.dataset.item);
+  });
+
+  ITEM_PICKERS.set(select, { sync, input });
+  sync();
+}
+
+function addTargetRow(item = "", rate = "") {
+  const container = document.getElementById('extraTargets');
+  if (!container) return null;
+
+  const row = document.createElement('div');
+  row.className = 'target-row';
+  row.innerHTML = `
+    <label>Item:</label>
+    <select class="target-item"></select>
+    <label>Rate (/min):</label>
+    <input type="number" class="target-rate" min="0" step="1" placeholder="Rate (/min)" />
+    <button type="button" class="target-remove" aria-label="Remove target">✕</button>
+  `;
+  const select = row.querySelector('.target-item');
+  const rateInput = row.querySelector('.target-rate');
+  populateItemSelect(select, item);
+  rateInput.value = rate;
+
+  select.addEventListener('change', () => {
+    if (rateInput.value.trim() === "") {
+      const naturalPerMin = getNaturalPerMin(select.value);
+      rateInput.value = naturalPerMin !== null ? naturalPerMin : "";
+    }
+    if (getPlanMode() === 'machines') refreshMachineNodeOptions();
+  });
+  row.querySelector('.target-remove').addEventListener('click', () => {
+    row.remove();
+    if (getPlanMode() === 'machines') refreshMachineNodeOptions();
+  });
+
+  container.appendChild(row);
+  return row;
+}
+
+function clearTargetRows() {
+  const container = document.getElementById('extraTargets');
+  if (container) container.innerHTML = "";
+}
+
+// Raw (item, rate) pairs from the primary controls followed by each extra row
+function readTargetRows() {
+  const rows = [{
+    item: document.getElementById('itemSelect')?.value || "",
+    rate: document.getElementById('rateInput')?.value || ""
+  }];
+  document.querySelectorAll('#extraTargets .target-row').forEach(row => {
+    rows.push({
+      item: row.querySelector('.target-item')?.value || "",
+      rate: row.querySelector('.target-rate')?.value || ""
+    });
+  });
+  return rows.filter(r => r.item);
+}
+
+/* ===============================
+   Per-plan recipe choices
+   - Only non-default choices are stored, so plain item/rate links stay unchanged
+   =============================== */
+function setRecipeChoice(item, recipeName) {
+  if (!item) return;
+  if (!recipeName || recipeName === getDefaultRecipeName(item)) delete RECIPE_CHOICES[item];
+  else RECIPE_CHOICES[item] = recipeName;
+}
+
+// Legacy query form: recipe=<item>|<recipe name>
+// Unknown items or recipes are dropped later by applyPlanState
+function decodeRecipeChoices(params) {
+  const choices = {};
+  for (const value of params.getAll("recipe")) {
+    const sep = value.indexOf("|");
+    if (sep <= 0) continue;
+    choices[value.slice(0, sep)] = value.slice(sep + 1);
+  }
+  return choices;
+}
+
+/* ===============================
+   Planning modes
+   - rate: expand the chain for the entered target rates
+   - extractors: find the max rate the entered extractors sustain (rates act as ratios)
+   - machines: size the plan around a fixed number of machines (rates act as ratios)
+   - optimize: expand the entered target rates with recipes chosen by the optimizer
+   =============================== */
+function getPlanMode() {
+  return document.getElementById('modeSelect')?.value || 'rate';
+}
+
+function renderExtractorInputs(values = readExtractorInputs()) {
+  const body = document.getElementById('extractorInputs');
+  if (!body) return;
+  body.innerHTML = getRawResources().map(resource => {
+    const counts = values[resource] || {};
+    const cell = (purity) => (SPECIAL_EXTRACTORS[resource] && purity !== 'normal')
+      ? `<td>—</td>`
+      : `<td><input type="number" min="0" step="1" data-resource="${escapeHtml(resource)}" data-purity="${purity}" value="${counts[purity] || ""}" aria-label="${escapeHtml(resource)} ${purity} extractors" /></td>`;
+    return `<tr><td>${escapeHtml(resource)}</td>${cell('impure')}${cell('normal')}${cell('pure')}</tr>`;
+  }).join("");
+}
+
+// { resource: { impure, normal, pure } } for every resource with at least one extractor entered
+function readExtractorInputs() {
+  const available = {};
+  document.querySelectorAll('#extractorInputs input[data-resource]').forEach(input => {
+    const count = Math.max(0, Math.floor(Number(input.value) || 0));
+    if (!count) return;
+    const resource = input.dataset.resource;
+    if (!available[resource]) available[resource] = {};
+    available[resource][input.dataset.purity] = count;
+  });
+  return available;
+}
+
+function updateModeUI() {
+  const mode = getPlanMode();
+  const panel = document.getElementById('extractorPanel');
+  if (panel) panel.hidden = mode !== 'extractors';
+  const machinePanel = document.getElementById('machinePanel');
+  if (machinePanel) machinePanel.hidden = mode !== 'machines';
+  if (mode === 'machines') refreshMachineNodeOptions();
+  const optimizerPanel = document.getElementById('optimizerPanel');
+  if (optimizerPanel) optimizerPanel.hidden = mode !== 'optimize';
+  const weights = document.getElementById('optimizerWeights');
+  if (weights) weights.hidden = document.getElementById('objectiveSelect')?.value !== 'weighted';
+  const rateLabel = document.querySelector('label[for="rateInput"]');
+  if (rateLabel) rateLabel.textContent = (mode === 'rate' || mode === 'optimize') ? "Rate (/min):" : "Ratio:";
+}
+
+// Fill the "of" picker with every crafted item in the current target mix
+function refreshMachineNodeOptions(selected) {
+  const select = document.getElementById('machineNodeSelect');
+  if (!select) return;
+  const prev = selected || select.value;
+  const mix = normalizeTargets(readTargetRows().map(r => ({ item: r.item, rate: parseFloat(r.rate) || 1 })));
+  const { chain } = expandChain(mix, null, { recipeChoices: RECIPE_CHOICES });
+  const targetItems = mix.map(t => t.item);
+  const intermediates = Object.keys(chain)
+    .filter(item => !chain[item].raw && !targetItems.includes(item))
+    .sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  const items = targetItems.filter(item => chain[item] && !chain[item].raw).concat(intermediates);
+
+  select.innerHTML = items.map(item => `<option value="${escapeHtml(item)}">${escapeHtml(item)}</option>`).join("");
+  if (prev && items.includes(prev)) select.value = prev;
+}
+
+function renderMachineSummary(result) {
+  const fmt = (n) => Math.round(n * 100) / 100;
+  return `
+    <div class="plan-summary">
+      <p><strong>${escapeHtml(String(result.machines))} × ${escapeHtml(result.building || "machine")}</strong> making ${escapeHtml(result.node)} at ${fmt(result.nodeRate)} / min</p>
+      <p><strong>Supports:</strong> ${describeTargets(result.targets)}</p>
+    </div>
+  `;
+}
+
+// Legacy query form: ext=<resource>|<impure>|<normal>|<pure>
+function decodeExtractorInputs(params) {
+  const available = {};
+  for (const value of params.getAll("ext")) {
+    const [resource, impure, normal, pure] = value.split("|");
+    if (!resource) continue;
+    available[resource] = { impure: Number(impure) || 0, normal: Number(normal) || 0, pure: Number(pure) || 0 };
+  }
+  return available;
+}
+
+function renderExtractorSummary(result) {
+  const fmt = (n) => Number.isFinite(n) ? Math.round(n * 100) / 100 : "—";
+  const share = (u) => u.capacity > 0 ? u.used / u.capacity : Infinity;
+  const rows = Object.entries(result.usage)
+    .sort((a,b) => share(b[1]) - share(a[1]))
+    .map(([resource, u]) => {
+      const used = u.used;
+      const pct = u.capacity > 0 ? Math.round((used / u.capacity) * 100) : 0;
+      const limiting = result.limiting.includes(resource);
+      return `<tr${limiting ? ' class="limiting-row"' : ""}><td>${escapeHtml(resource)}${limiting ? " (limiting)" : ""}</td><td>${fmt(u.capacity)}</td><td>${fmt(used)}</td><td>${pct}%</td></tr>`;
+    }).join("");
+
+  return `
+    <div class="plan-summary">
+      <p><strong>Limiting resource:</strong> ${result.limiting.map(escapeHtml).join(", ") || "—"}</p>
+      <p><strong>Maximum output:</strong> ${describeTargets(result.targets)}</p>
+      <table>
+        <thead><tr><th>Resource</th><th>Available/min</th><th>Used/min</th><th>Usage</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderCapInputs(values = readCapInputs()) {
+  const body = document.getElementById('capInputs');
+  if (!body) return;
+  body.innerHTML = getRawResources().map(resource =>
+    `<tr><td>${escapeHtml(resource)}</td><td><input type="number" min="0" step="1" data-resource="${escapeHtml(resource)}" value="${values[resource] ?? ""}" aria-label="${escapeHtml(resource)} cap per minute" /></td></tr>`
+  ).join("");
+}
+
+// { resource: maxPerMin } for every resource with a cap entered
+function readCapInputs() {
+  const caps = {};
+  document.querySelectorAll('#capInputs input[data-resource]').forEach(input => {
+    if (input.value.trim() === "") return;
+    const cap = Number(input.value);
+    if (cap >= 0) caps[input.dataset.resource] = cap;
+  });
+  return caps;
+}
+
+function readOptimizerSettings() {
+  const weight = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+  return {
+    objective: document.getElementById('objectiveSelect')?.value || 'raw',
+    weights: { raw: weight('weightRaw'), machines: weight('weightMachines'), power: weight('weightPower') },
+    caps: readCapInputs()
+  };
+}
+
+// Legacy query form: obj=<objective>, weights=<raw>|<machines>|<power>, cap=<resource>|<max per min>
+function decodeOptimizerSettings(params) {
+  const [raw, machines, power] = (params.get("weights") || "").split("|");
+  const caps = {};
+  for (const value of params.getAll("cap")) {
+    const sep = value.lastIndexOf("|");
+    if (sep <= 0) continue;
+    caps[value.slice(0, sep)] = value.slice(sep + 1);
+  }
+  return { objective: params.get("obj"), weights: { raw, machines, power }, caps };
+}
+
+// Fill the optimizer controls; missing or invalid fields leave the current values
+function applyOptimizerSettings(settings = {}) {
+  const objectiveSelect = document.getElementById('objectiveSelect');
+  if (objectiveSelect && OPTIMIZER_OBJECTIVES[settings.objective]) objectiveSelect.value = settings.objective;
+  const weights = settings.weights || {};
+  [['weightRaw', 'raw'], ['weightMachines', 'machines'], ['weightPower', 'power']].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    if (input && weights[key] !== undefined && weights[key] !== "") input.value = weights[key];
+  });
+  renderCapInputs(settings.caps || {});
+}
+
+function renderOptimizerSummary(result) {
+  const fmt = (n) => Math.round(n * 100) / 100;
+  const unit = result.objective === 'power' ? ` ${getPowerUnit()}` : result.objective === 'raw' ? " / min" : "";
+  const rows = result.decisions.map(item => {
+    const name = result.selected[item];
+    const changed = name !== getDefaultRecipeName(item);
+    return `<tr><td>${escapeHtml(item)}</td><td>${escapeHtml(name)}${changed ? "" : " (default)"}</td></tr>`;
+  }).join("");
+  const method = result.exhaustive
+    ? `all ${result.evaluated} combinations compared`
+    : `${result.evaluated} combinations tried (too many to compare exhaustively; the result may not be the global best)`;
+
+  return `
+    <div class="plan-summary">
+      <p><strong>Objective:</strong> ${escapeHtml(OPTIMIZER_OBJECTIVES[result.objective])} = ${fmt(result.score)}${escapeHtml(unit)}</p>
+      <p><strong>Search:</strong> ${escapeHtml(method)}</p>
+      ${rows
+        ? `<table><thead><tr><th>Item</th><th>Selected recipe</th></tr></thead><tbody>${rows}</tbody></table>`
+        : `<p>No item in this plan has alternate recipes, so the default recipes are used.</p>`}
+    </div>
+  `;
+}
+
+/* ===============================
+   Supplied inputs (existing production imported into the plan)
+   =============================== */
+function addSupplyRow(item = "", rate = "") {
+  const container = document.getElementById('supplyRows');
+  if (!container) return null;
+
+  const row = document.createElement('div');
+  row.className = 'target-row supply-row';
+  row.innerHTML = `
+    <label>Supplied item:</label>
+    <select class="supply-item"></select>
+    <label>Available (/min):</label>
+    <input type="number" class="supply-rate" min="0" step="1" placeholder="Rate (/min)" />
+    <button type="button" class="target-remove" aria-label="Remove supplied item">✕</button>
+  `;
+  populateSupplySelect(row.querySelector('.supply-item'), item);
+  row.querySelector('.supply-rate').value = rate;
+  row.querySelector('.target-remove').addEventListener('click', () => {
+    row.remove();
+    updateSupplyPanel();
+  });
+
+  container.appendChild(row);
+  updateSupplyPanel();
+  return row;
+}
+
+// Any crafted item or raw resource can be supplied
+function populateSupplySelect(select, selected) {
+  if (!select) return;
+  const items = getSortedItemNames().concat(getRawResources().filter(r => !RECIPES[r]));
+  select.innerHTML = `<option value="" disabled>Select Item Here</option>` +
+    items.map(it => `<option value="${escapeHtml(it)}">${escapeHtml(it)}</option>`).join("");
+  select.value = (selected && items.includes(selected)) ? selected : "";
+}
+
+function updateSupplyPanel() {
+  const panel = document.getElementById('supplyPanel');
+  if (panel) panel.hidden = !document.querySelector('#supplyRows .supply-row');
+}
+
+// { item: rate } summed over rows with a valid item and positive rate
+function readSupplies() {
+  const supplies = {};
+  document.querySelectorAll('#supplyRows .supply-row').forEach(row => {
+    const item = row.querySelector('.supply-item')?.value;
+    const rate = parseFloat(row.querySelector('.supply-rate')?.value);
+    if (!item || !(rate > 0)) return;
+    supplies[item] = (supplies[item] || 0) + rate;
+  });
+  return supplies;
+}
+
+/* ===============================
+   Plan state
+   - getPlanState: every control that shapes the plan, as plain data
+   - applyPlanState: restores it, skipping items the loaded recipes no longer have
+   =============================== */
+function getPlanState() {
+  return {
+    targets: readTargetRows().map(r => ({ item: r.item, rate: r.rate })),
+    railSpeed: Number(document.getElementById('railSelect')?.value) || null,
+    railPolicy: readRailOptions().railPolicy,
+    mode: getPlanMode(),
+    recipeChoices: Object.assign({}, RECIPE_CHOICES),
+    supplies: readSupplies(),
+    extractors: readExtractorInputs(),
+    machines: {
+      node: document.getElementById('machineNodeSelect')?.value || "",
+      count: document.getElementById('machineCountInput')?.value || ""
+    },
+    optimizer: readOptimizerSettings(),
+    dataset: ACTIVE_DATASET ? Object.assign({}, ACTIVE_DATASET) : null
+  };
+}
+
+// Returns the names of anything that had to be dropped; throws when no target survives
+function applyPlanState(state) {
+  const skipped = [];
+  const targets = (Array.isArray(state.targets) ? state.targets : []).filter(t => {
+    const known = t && typeof t.item === 'string' && !t.item.startsWith('_') && RECIPES[t.item];
+    if (!known && t && t.item) skipped.push(String(t.item));
+    return known;
+  });
+  if (!targets.length) throw new Error("none of its items exist in the current recipe data");
+
+  const itemSelect = document.getElementById('itemSelect');
+  const rateInput = document.getElementById('rateInput');
+  if (itemSelect) { itemSelect.value = targets[0].item; attachItemPicker(itemSelect); }
+  if (rateInput) { rateInput.value = targets[0].rate ?? ""; rateInput.dataset.manual = "true"; }
+  clearTargetRows();
+  targets.slice(1).forEach(t => addTargetRow(t.item, t.rate ?? ""));
+
+  const railSelect = document.getElementById('railSelect');
+  if (railSelect && Array.from(railSelect.options).some(o => Number(o.value) === Number(state.railSpeed))) railSelect.value = String(state.railSpeed);
+  const railPolicySelect = document.getElementById('railPolicySelect');
+  if (railPolicySelect) railPolicySelect.value = RAIL_POLICIES.includes(state.railPolicy) ? state.railPolicy : 'fixed';
+
+  RECIPE_CHOICES = {};
+  for (const [item, name] of Object.entries(state.recipeChoices || {})) {
+    if (getRecipeOptions(item).some(r => r.name === name)) setRecipeChoice(item, name);
+    else skipped.push(`${item} (${name})`);
+  }
+
+  document.querySelectorAll('#supplyRows .supply-row').forEach(row => row.remove());
+  for (const [item, rate] of Object.entries(state.supplies || {})) {
+    if (RECIPES[item] || getRawResources().includes(item)) addSupplyRow(item, rate);
+    else skipped.push(item);
+  }
+  updateSupplyPanel();
+
+  const modeSelect = document.getElementById('modeSelect');
+  if (modeSelect) modeSelect.value = Array.from(modeSelect.options).some(o => o.value === state.mode) ? state.mode : 'rate';
+  renderExtractorInputs(state.extractors || {});
+  applyOptimizerSettings(state.optimizer);
+  const machineCountInput = document.getElementById('machineCountInput');
+  if (machineCountInput && state.machines?.count) machineCountInput.value = state.machines.count;
+  updateModeUI();
+  refreshMachineNodeOptions(state.machines?.node);
+  return skipped;
+}
+
+/* ===============================
+   Plan export & import
+   - Export downloads the plan on screen as csv, json or markdown (formatPlanReport)
+   - Import reads a json export back into the controls
+   =============================== */
+const EXPORT_FILE_TYPES = {
+  csv: { ext: "csv", mime: "text/csv" },
+  json: { ext: "json", mime: "application/json" },
+  markdown: { ext: "md", mime: "text/markdown" }
+};
+
+function downloadFile(filename, content, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File name stem from the plan's first target, e.g. "superconductor-30"
+function planFileStem(targets) {
+  const first = (targets || [])[0];
+  if (!first) return "plan";
+  const stem = `${first.item}-${first.rate}`.toLowerCase().replace(/[^a-z0-9.]+/g, "-").replace(/^-+|-+$/g, "");
+  return (targets.length > 1 ? `${stem}-and-more` : stem) || "plan";
+}
+
+function exportPlan(format) {
+  const type = EXPORT_FILE_TYPES[format];
+  if (!type) return;
+  if (!LAST_PLAN_REPORT) {
+    showToast("Calculate a plan before exporting.");
+    return;
+  }
+  const content = formatPlanReport(LAST_PLAN_REPORT, format, { decimals: getDisplayDecimals() });
+  downloadFile(`${planFileStem(LAST_PLAN_REPORT.targets)}.${type.ext}`, content, `${type.mime};charset=utf-8`);
+}
+
+/* ===============================
+   Share links
+   - The full plan state lives in the URL hash: #plan=<version>.<codec>.<payload>
+   - codec "z": deflate-raw compressed JSON, "j": plain JSON (browsers without CompressionStream);
+     both base64url encoded
+   - Links from older versions (?item=&rate=&rail=...) are still read
+   =============================== */
+const SHARE_HASH_KEY = "plan";
+const SHARE_VERSION = 1;
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+// Plan state plus display options, without empty or default fields to keep links short
+function getShareState() {
+  const state = getPlanState();
+  const share = { targets: state.targets.map(t => [t.item, t.rate]), rail: state.railSpeed, decimals: getDisplayDecimals() };
+  if (state.mode !== 'rate') share.mode = state.mode;
+  if (state.railPolicy !== 'fixed') share.railPolicy = state.railPolicy;
+  if (Object.keys(state.recipeChoices).length) share.recipes = state.recipeChoices;
+  if (Object.keys(state.supplies).length) share.supplies = state.supplies;
+  if (state.mode === 'extractors') share.extractors = state.extractors;
+  if (state.mode === 'machines') share.machines = state.machines;
+  if (state.mode === 'optimize') share.optimizer = state.optimizer;
+  if (state.dataset) share.dataset = state.dataset;
+  return share;
+}
+
+async function encodePlanHash(share) {
+  const json = new TextEncoder().encode(JSON.stringify(share));
+  if (typeof CompressionStream === 'function') {
+    const packed = await transformBytes(json, new CompressionStream('deflate-raw'));
+    return `${SHARE_HASH_KEY}=${SHARE_VERSION}.z.${bytesToBase64Url(packed)}`;
+  }
+  return `${SHARE_HASH_KEY}=${SHARE_VERSION}.j.${bytesToBase64Url(json)}`;
+}
+
+// Plan state (as applyPlanState expects) from a #plan= hash; throws when the link is damaged
+async function decodePlanHash(hash) {
+  const match = /^#?plan=(\d+)\.([a-z])\.([A-Za-z0-9_-]*)$/.exec(hash);
+  if (!match) throw new Error("unrecognised link format");
+  const [, version, codec, payload] = match;
+  if (Number(version) !== SHARE_VERSION) throw new Error(`link version ${version} is not supported`);
+
+  if (codec !== "z" && codec !== "j") throw new Error(`unknown link encoding "${codec}"`);
+  if (codec === "z" && typeof DecompressionStream !== 'function') throw new Error("this browser cannot read compressed links");
+
+  let share;
+  try {
+    let bytes = base64UrlToBytes(payload);
+    if (codec === "z") bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    share = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error("the link is damaged or incomplete");
+  }
+  if (!share || !Array.isArray(share.targets)) throw new Error("link has no plan");
+
+  const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v)) ? v : {};
+  return {
+    targets: share.targets.filter(Array.isArray).map(([item, rate]) => ({ item: String(item), rate: rate ?? "" })),
+    railSpeed: Number(share.rail) || null,
+    railPolicy: share.railPolicy,
+    mode: typeof share.mode === 'string' ? share.mode : 'rate',
+    recipeChoices: obj(share.recipes),
+    supplies: obj(share.supplies),
+    extractors: obj(share.extractors),
+    machines: obj(share.machines),
+    optimizer: obj(share.optimizer),
+    dataset: share.dataset ? obj(share.dataset) : null,
+    decimals: share.decimals
+  };
+}
+
+// Older links carried the plan in the query string
+function readLegacyQueryState(params) {
+  const items = params.getAll("item");
+  if (!items.length) return null;
+  const rates = params.getAll("rate");
+  const supplies = {};
+  for (const value of params.getAll("supply")) {
+    const sep = value.lastIndexOf("|");
+    if (sep > 0) supplies[value.slice(0, sep)] = value.slice(sep + 1);
+  }
+  return {
+    targets: items.map((item, i) => ({ item, rate: rates[i] || "" })),
+    railSpeed: Number(params.get("rail")) || null,
+    mode: params.get("mode") || 'rate',
+    recipeChoices: decodeRecipeChoices(params),
+    supplies,
+    extractors: decodeExtractorInputs(params),
+    machines: { node: params.get("mnode") || "", count: params.get("mcount") || "" },
+    optimizer: decodeOptimizerSettings(params)
+  };
+}
+
+// Plan state from the current URL, or null when it carries none
+async function readSharedPlan() {
+  if (window.location.hash.startsWith(`#${SHARE_HASH_KEY}=`)) return decodePlanHash(window.location.hash);
+  return readLegacyQueryState(new URLSearchParams(window.location.search));
+}
+
+// Applies a shared plan and calculates it; problems are reported, never thrown
+function openSharedPlan(state) {
+  try {
+    const decimals = Number(state.decimals);
+    if (Number.isInteger(decimals) && decimals >= 0 && decimals <= 4) {
+      localStorage.setItem('displayDecimals', String(decimals));
+      const decimalsSelect = document.getElementById("decimalsSelect");
+      if (decimalsSelect) decimalsSelect.value = String(decimals);
+    }
+    const skipped = applyPlanState(state);
+    const notes = [datasetMismatchNote(state)];
+    if (skipped.length) notes.push(`Shared plan opened without items that no longer exist: ${skipped.join(", ")}`);
+    if (notes.some(Boolean)) showToast(notes.filter(Boolean).join(" "));
+    if (String(state.targets[0]?.rate ?? "").trim() !== "" || state.mode !== 'rate') runCalculator();
+  } catch (err) {
+    showToast(`Could not open the shared plan: ${err.message}`);
+  }
+}
+
+// Rewrites the URL so it reproduces the plan on screen; resolves to the new URL
+async function writeShareHash() {
+  try {
+    const hash = await encodePlanHash(getShareState());
+    history.replaceState(null, "", `${window.location.pathname}#${hash}`);
+  } catch (err) {
+    console.warn("Could not encode share link:", err);
+  }
+  return window.location.href;
+}
+
+/* ===============================
+   Saved plans
+   - Named plan states kept in localStorage ("savedPlans")
+   - The whole library can be downloaded, or merged in from such a download
+   =============================== */
+const SAVED_PLANS_KEY = 'savedPlans';
+const PLAN_LIBRARY_FORMAT = "sr-crafting-calculator/plans";
+const PLAN_LIBRARY_VERSION = 1;
+
+function isSavedPlan(plan) {
+  return !!plan && typeof plan.id === 'string' && typeof plan.name === 'string' && !!plan.state && Array.isArray(plan.state.targets);
+}
+
+function loadSavedPlans() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SAVED_PLANS_KEY) || "[]");
+    return Array.isArray(stored) ? stored.filter(isSavedPlan) : [];
+  } catch (e) {
+    console.warn("Ignoring unreadable saved plans:", e);
+    return [];
+  }
+}
+
+function storeSavedPlans(plans) {
+  localStorage.setItem(SAVED_PLANS_KEY, JSON.stringify(plans));
+  renderSavedPlans();
+}
+
+function newPlanId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Saving under an existing name updates that plan instead of adding another
+function saveCurrentPlan(name) {
+  const state = getPlanState();
+  if (!state.targets.length) {
+    showToast("Select an item before saving a plan.");
+    return;
+  }
+  const planName = String(name || "").trim() || describePlanTargets(state.targets);
+  const plans = loadSavedPlans();
+  const existing = plans.find(p => p.name === planName);
+  if (existing) {
+    existing.state = state;
+    existing.savedAt = new Date().toISOString();
+  } else {
+    plans.push({ id: newPlanId(), name: planName, savedAt: new Date().toISOString(), state });
+  }
+  storeSavedPlans(plans);
+  showToast(existing ? `Updated "${planName}"` : `Saved "${planName}"`);
+}
+
+function renameSavedPlan(id, name) {
+  const planName = String(name || "").trim();
+  const plans = loadSavedPlans();
+  const plan = plans.find(p => p.id === id);
+  if (!plan || !planName) {
+    renderSavedPlans();
+    return;
+  }
+  plan.name = planName;
+  storeSavedPlans(plans);
+}
+
+function duplicateSavedPlan(id) {
+  const plans = loadSavedPlans();
+  const index = plans.findIndex(p => p.id === id);
+  if (index < 0) return;
+  const copy = JSON.parse(JSON.stringify(plans[index]));
+  Object.assign(copy, { id: newPlanId(), name: `${copy.name} (copy)`, savedAt: new Date().toISOString() });
+  plans.splice(index + 1, 0, copy);
+  storeSavedPlans(plans);
+}
+
+function deleteSavedPlan(id) {
+  const plans = loadSavedPlans();
+  const plan = plans.find(p => p.id === id);
+  if (!plan || !confirm(`Delete saved plan "${plan.name}"?`)) return;
+  storeSavedPlans(plans.filter(p => p.id !== id));
+}
+
+function loadSavedPlan(id) {
+  const plan = loadSavedPlans().find(p => p.id === id);
+  if (!plan) return;
+  try {
+    const skipped = applyPlanState(plan.state);
+    runCalculator();
+    const note = datasetMismatchNote(plan.state);
+    showToast((skipped.length ? `Loaded "${plan.name}" without: ${skipped.join(", ")}` : `Loaded "${plan.name}"`) + (note ? `. ${note}` : ""));
+  } catch (err) {
+    showToast(`Could not load "${plan.name}": ${err.message}`);
+  }
+}
+
+function renderSavedPlans() {
+  const list = document.getElementById('savedPlanList');
+  if (!list) return;
+  const plans = loadSavedPlans();
+  if (!plans.length) {
+    list.innerHTML = `<tr><td colspan="4">No saved plans yet.</td></tr>`;
+    return;
+  }
+  list.innerHTML = plans.map(plan => `
+    <tr data-id="${escapeHtml(plan.id)}">
+      <td><input type="text" class="saved-plan-name" value="${escapeHtml(plan.name)}" aria-label="Plan name" /></td>
+      <td>${escapeHtml(describePlanTargets(plan.state.targets))}</td>
+      <td>${plan.savedAt ? escapeHtml(new Date(plan.savedAt).toLocaleString()) : "—"}</td>
+      <td>
+        <button type="button" data-action="load">Load</button>
+        <button type="button" data-action="duplicate">Duplicate</button>
+        <button type="button" data-action="delete">Delete</button>
+      </td>
+    </tr>
+  `).join("");
+}
+
+function exportPlanLibrary() {
+  const plans = loadSavedPlans();
+  if (!plans.length) {
+    showToast("There are no saved plans to export.");
+    return;
+  }
+  const doc = { format: PLAN_LIBRARY_FORMAT, version: PLAN_LIBRARY_VERSION, plans };
+  downloadFile("saved-plans.json", JSON.stringify(doc, null, 2) + "\n", "application/json;charset=utf-8");
+}
+
+// Imported plans are added alongside the existing ones with fresh ids
+async function importPlanLibrary(file) {
+  try {
+    const doc = JSON.parse(await file.text());
+    if (!doc || doc.format !== PLAN_LIBRARY_FORMAT) throw new Error("not a saved-plans export");
+    if (!(doc.version <= PLAN_LIBRARY_VERSION)) throw new Error(`version ${doc.version} is newer than this calculator supports`);
+    const incoming = (Array.isArray(doc.plans) ? doc.plans : []).filter(isSavedPlan);
+    if (!incoming.length) throw new Error("it contains no plans");
+    const plans = loadSavedPlans().concat(incoming.map(p => Object.assign({}, p, { id: newPlanId() })));
+    storeSavedPlans(plans);
+    showToast(`Imported ${incoming.length} plan${incoming.length === 1 ? "" : "s"}`);
+  } catch (err) {
+    showToast(`Could not import plans: ${err.message}`);
+  }
+}
+
+/* ===============================
+   Graph image export
+   - SVG: a standalone copy of the graph with computed (theme-resolved) styles inlined,
+     covering the whole chain regardless of the current pan/zoom
+   - PNG: that SVG rasterized at the chosen scale
+   =============================== */
+const GRAPH_EXPORT_STYLE_PROPS = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin',
+  'stroke-dasharray', 'opacity', 'visibility', 'display', 'vector-effect', 'paint-order',
+  'font-family', 'font-size', 'font-weight', 'letter-spacing', 'text-anchor', 'dominant-baseline', 'alignment-baseline'
+];
+// Browsers refuse canvases much larger than this per side
+const MAX_PNG_SIDE = 16384;
+
+// { markup, width, height } for the graph on screen, or null when nothing is drawn
+function buildStandaloneGraphSvg() {
+  const svg = document.querySelector('#graphArea svg.graphSVG');
+  if (!svg) return null;
+  const clone = svg.cloneNode(true);
+
+  // Copy each element's computed style so the file needs neither style.css nor the theme variables
+  const liveEls = svg.querySelectorAll('*');
+  const cloneEls = clone.querySelectorAll('*');
+  liveEls.forEach((el, i) => {
+    const computed = getComputedStyle(el);
+    const target = cloneEls[i];
+    target.setAttribute('style', GRAPH_EXPORT_STYLE_PROPS
+      .map(prop => [prop, computed.getPropertyValue(prop)])
+      .filter(([, value]) => value)
+      .map(([prop, value]) => `${prop}:${value}`)
+      .join(';'));
+    for (const attr of Array.from(target.attributes)) {
+      if (attr.value.includes('var(')) target.removeAttribute(attr.name);
+    }
+  });
+
+  // The viewBox already frames the whole chain; drop the pan/zoom transform
+  clone.querySelector('#zoomLayer')?.removeAttribute('transform');
+  const vb = svg.viewBox.baseVal;
+  const width = Math.ceil(vb.width);
+  const height = Math.ceil(vb.height);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.removeAttribute('class');
+
+  // Page background behind the graph so light/dark exports keep their contrast
+  const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  bg.setAttribute('x', vb.x);
+  bg.setAttribute('y', vb.y);
+  bg.setAttribute('width', vb.width);
+  bg.setAttribute('height', vb.height);
+  bg.setAttribute('fill', getComputedStyle(document.body).backgroundColor || '#ffffff');
+  clone.insertBefore(bg, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+function exportGraphSvg() {
+  const graph = buildStandaloneGraphSvg();
+  if (!graph) {
+    showToast("Calculate a plan before exporting the graph.");
+    return;
+  }
+  downloadFile(`${planFileStem(LAST_PLAN_REPORT?.targets)}-graph.svg`, graph.markup, "image/svg+xml;charset=utf-8");
+}
+
+function exportGraphPng(scale) {
+  const graph = buildStandaloneGraphSvg();
+  if (!graph) {
+    showToast("Calculate a plan before exporting the graph.");
+    return;
+  }
+  const fit = Math.min(scale, MAX_PNG_SIDE / graph.width, MAX_PNG_SIDE / graph.height);
+  if (fit < scale) showToast(`Graph too large for ${scale}×; exporting at ${Math.floor(fit * 100) / 100}×.`);
+
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(graph.width * fit);
+    canvas.height = Math.round(graph.height * fit);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => {
+      if (blob) downloadFile(`${planFileStem(LAST_PLAN_REPORT?.targets)}-graph.png`, blob, "image/png");
+      else showToast("Could not create the PNG image.");
+    }, "image/png");
+  };
+  img.onerror = () => showToast("Could not create the PNG image.");
+  img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(graph.markup);
+}
+
+async function importPlanFile(file) {
+  try {
+    // Exports hold the resolved rates, so they reopen as a plain target-rate plan
+    applyPlanState(Object.assign({ mode: 'rate' }, readPlanDocument(await file.text())));
+    runCalculator();
+    showToast("Plan imported");
+  } catch (err) {
+    showToast(`Could not import plan: ${err.message}`);
+  }
 }
 
 /* ===============================
    Run calculator & UI wiring
    =============================== */
 function runCalculator() {
-  const item = document.getElementById('itemSelect').value;
-  const rateRaw = document.getElementById('rateInput').value;
-  const rate = parseFloat(rateRaw);
+  const mode = getPlanMode();
+  const rows = readTargetRows();
+  const out = document.getElementById("outputArea");
+  const supplies = readSupplies();
+  const options = { recipeChoices: RECIPE_CHOICES, supplies };
 
-  if (!item || isNaN(rate) || rate <= 0) {
-    document.getElementById("outputArea").innerHTML = "<p style='color:red;'>Please select an item and enter a valid rate.</p>";
+  // In extractor and machine modes a blank rate means an equal share of the mix
+  if (mode !== 'rate') rows.forEach(r => { if (String(r.rate).trim() === "") r.rate = "1"; });
+  const invalid = rows.some(r => { const n = parseFloat(r.rate); return isNaN(n) || n <= 0; });
+
+  if (!rows.length || invalid) {
+    out.innerHTML = "<p style='color:red;'>Please select an item and enter a valid rate.</p>";
     return;
   }
 
-  const chainObj = expandChain(item, rate);
-  renderTable(chainObj, item, rate);
+  const targets = rows.map(r => ({ item: r.item, rate: parseFloat(r.rate) }));
+  const available = mode === 'extractors' ? readExtractorInputs() : {};
+  const optimizer = mode === 'optimize' ? readOptimizerSettings() : null;
+
+  if (mode === 'extractors') {
+    const result = computeMaxFromExtractors(targets, available, options);
+    if (result.error) {
+      out.innerHTML = `<p style='color:red;'>${escapeHtml(result.error)}</p>`;
+    } else if (!Number.isFinite(result.scale)) {
+      out.innerHTML = "<p style='color:red;'>Supplied inputs cover every raw resource, so extractors do not limit this plan. Switch to Target rate mode instead.</p>";
+    } else if (!(result.scale > 0)) {
+      const missing = result.limiting.map(escapeHtml).join(", ");
+      out.innerHTML = `<p style='color:red;'>The available extractors cannot sustain any output. Add extractors for: ${missing || "the required resources"}.</p>`;
+    } else {
+      const chainObj = expandChain(result.targets, null, options);
+      renderTable(chainObj, chainObj.targets, { preface: renderExtractorSummary(result) });
+    }
+  } else if (mode === 'machines') {
+    const nodeItem = document.getElementById('machineNodeSelect')?.value || targets[0].item;
+    const machineCount = parseFloat(document.getElementById('machineCountInput')?.value);
+    if (!(machineCount > 0)) {
+      out.innerHTML = "<p style='color:red;'>Please enter how many machines you have.</p>";
+      return;
+    }
+    const result = computeRateFromMachines(targets, nodeItem, machineCount, options);
+    if (result.error) {
+      out.innerHTML = `<p style='color:red;'>${escapeHtml(result.error)}</p>`;
+      return;
+    }
+    const chainObj = expandChain(result.targets, null, options);
+    renderTable(chainObj, chainObj.targets, { preface: renderMachineSummary(result) });
+  } else if (mode === 'optimize') {
+    const result = optimizeRecipes(targets, Object.assign({ supplies }, optimizer));
+    if (result.error) {
+      out.innerHTML = `<p style='color:red;'>${escapeHtml(result.error)}</p>`;
+    } else {
+      // Adopt the chosen recipes so the table pickers and share link reflect them
+      for (const item of result.decisions) setRecipeChoice(item, result.selected[item]);
+      renderTable(result.chainObj, result.chainObj.targets, { preface: renderOptimizerSummary(result) });
+    }
+  } else {
+    const chainObj = expandChain(targets, null, options);
+    renderTable(chainObj, chainObj.targets);
+  }
 
-  const rail = document.getElementById("railSelect").value;
-  const params = new URLSearchParams({ item, rate, rail });
-  history.replaceState(null, "", "?" + params.toString());
+  writeShareHash();
 }
 
 /* ===============================
@@ -1561,11 +2796,12 @@ async function init() {
 
   // Load data (data-only)
   await loadRecipes();
+  checkRecipeData();
+  if (RECIPE_CYCLES.length) showToast(`Recipe loops detected: ${RECIPE_CYCLES.map(c => c.join(" → ")).join("; ")}`);
 
   // Ensure RECIPES/TIERS are available
   RECIPES = RECIPES || {};
   TIERS = TIERS || {};
-  TIERS[BBM_ID] = TIERS[BBM_ID] ?? 0;
 
   // UI elements
   const itemSelect = document.getElementById('itemSelect');
@@ -1573,34 +2809,25 @@ async function init() {
   const railSelect = document.getElementById("railSelect");
 
   // Populate rail select
-  if (railSelect) railSelect.innerHTML = `
-    <option value="120">v1 (120/min)</option>
-    <option value="240">v2 (240/min)</option>
-    <option value="480">v3 (480/min)</option>
-  `;
+  if (railSelect) railSelect.innerHTML = RAIL_TIERS
+    .map(t => `<option value="${t.speed}"${t.speed === DEFAULT_RAIL_SPEED ? " selected" : ""}>${t.tier} (${t.speed}/min)</option>`)
+    .join("");
 
   // Reset rate input
   if (rateInput) { rateInput.value = ""; rateInput.dataset.manual = ""; rateInput.placeholder = "Rate (/min)"; }
 
   // Populate item select with placeholder + filtered items
-  if (itemSelect) {
-    const items = Object.keys(RECIPES || {}).filter(k => typeof k === 'string' && !k.startsWith('_')).sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
-    // Build options preserving placeholder
-    itemSelect.innerHTML = `<option value="" disabled selected>Select Item Here</option>` +
-      items.map(it => `<option value="${escapeHtml(it)}">${escapeHtml(it)}</option>`).join("");
-  }
+  populateItemSelect(itemSelect);
 
   // Helper: compute natural/base rate for the currently selected item
   function getNaturalPerMinForSelected() {
-    const slug = itemSelect?.value;
-    const recipe = RECIPES[slug];
-    if (!recipe || !recipe.output || !recipe.time) return null;
-    return Math.round((recipe.output / recipe.time) * 60);
+    return getNaturalPerMin(itemSelect?.value);
   }
 
   // Rate input behavior
   if (itemSelect && rateInput) {
     itemSelect.addEventListener("change", () => {
+      if (getPlanMode() === 'machines') refreshMachineNodeOptions();
       const naturalPerMin = getNaturalPerMinForSelected();
       if (!rateInput.dataset.manual) {
         rateInput.value = naturalPerMin !== null ? naturalPerMin : "";
@@ -1646,32 +2873,89 @@ async function init() {
     });
   }
 
-  // Read shared params from URL and apply safely (guard internal keys)
-  const params = new URLSearchParams(window.location.search);
-  const sharedItem = params.get("item");
-  const sharedRate = params.get("rate");
-  const sharedRail = params.get("rail");
-
-  if (sharedItem && itemSelect && !sharedItem.startsWith('_')) {
-    // Only set if the option exists; otherwise leave placeholder
-    const opt = Array.from(itemSelect.options).find(o => o.value === sharedItem);
-    if (opt) itemSelect.value = sharedItem;
+  // Restore a shared plan from the URL (#plan= hash, or the query string of older links)
+  const modeSelect = document.getElementById("modeSelect");
+  let sharedState = null;
+  try {
+    sharedState = await readSharedPlan();
+  } catch (err) {
+    showToast(`Could not open the shared plan: ${err.message}`);
   }
-  if (sharedRate && rateInput) { rateInput.value = sharedRate; rateInput.dataset.manual = "true"; }
-  if (sharedRail && railSelect) railSelect.value = sharedRail;
-  if (sharedItem && sharedRate && !sharedItem.startsWith('_')) runCalculator();
+  renderExtractorInputs({});
+  renderCapInputs({});
+  updateModeUI();
+  if (sharedState) openSharedPlan(sharedState);
+  else refreshMachineNodeOptions();
+  if (modeSelect) modeSelect.addEventListener("change", updateModeUI);
+  document.getElementById("objectiveSelect")?.addEventListener("change", updateModeUI);
+
+  // A pasted share link only changes the hash, so the page is not reloaded
+  window.addEventListener("hashchange", () => {
+    if (!window.location.hash.startsWith(`#${SHARE_HASH_KEY}=`)) return;
+    decodePlanHash(window.location.hash)
+      .then(openSharedPlan)
+      .catch(err => showToast(`Could not open the shared plan: ${err.message}`));
+  });
 
   // Buttons wiring
-  const calcButton = document.getElementById("calcButton");
-  if (calcButton) calcButton.addEventListener("click", () => {
-    runCalculator();
-    const item = itemSelect?.value || "";
-    const rate = rateInput?.value || "";
-    const rail = railSelect?.value || "";
-    const newParams = new URLSearchParams({ item, rate, rail });
-    history.replaceState(null, "", "?" + newParams.toString());
+  const addTargetBtn = document.getElementById("addTargetBtn");
+  if (addTargetBtn) addTargetBtn.addEventListener("click", () => {
+    const row = addTargetRow();
+    row?.querySelector('.item-picker-input')?.focus();
+  });
+
+  const addSupplyBtn = document.getElementById("addSupplyBtn");
+  if (addSupplyBtn) addSupplyBtn.addEventListener("click", () => {
+    const row = addSupplyRow();
+    row?.querySelector('.supply-item')?.focus();
   });
 
+  const calcButton = document.getElementById("calcButton");
+  if (calcButton) calcButton.addEventListener("click", () => runCalculator());
+
+  const datasetSelect = document.getElementById("datasetSelect");
+  if (datasetSelect) {
+    populateDatasetSelect(datasetSelect);
+    datasetSelect.addEventListener("change", () => switchDataset(datasetSelect.value));
+  }
+
+  const nodeDetailPanel = document.getElementById("nodeDetailPanel");
+  if (nodeDetailPanel) {
+    nodeDetailPanel.addEventListener("click", (ev) => {
+      const button = ev.target.closest('button');
+      if (!button || !GRAPH_SELECTION) return;
+      if (button.dataset.direction) {
+        GRAPH_SELECTION.direction = button.dataset.direction;
+        applyGraphSelection();
+      } else if (button.dataset.action === 'show-row') {
+        findTableRow(GRAPH_SELECTION.id)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      } else if (button.dataset.action === 'fold') {
+        toggleFold(GRAPH_SELECTION.id);
+      } else if (button.dataset.action === 'close') {
+        selectGraphNode(null);
+      }
+    });
+  }
+
+  const flowLabelsToggle = document.getElementById("flowLabelsToggle");
+  if (flowLabelsToggle) {
+    flowLabelsToggle.checked = getShowFlowLabels();
+    flowLabelsToggle.addEventListener("change", () => {
+      localStorage.setItem('flowLabels', flowLabelsToggle.checked ? 'on' : 'off');
+      if (document.querySelector('#outputArea table')) runCalculator();
+    });
+  }
+
+  const decimalsSelect = document.getElementById("decimalsSelect");
+  if (decimalsSelect) {
+    decimalsSelect.value = String(getDisplayDecimals());
+    decimalsSelect.addEventListener("change", () => {
+      localStorage.setItem('displayDecimals', decimalsSelect.value);
+      // Re-render the current plan, if any, with the new precision
+      if (document.querySelector('#outputArea table')) runCalculator();
+    });
+  }
+
   const clearBtn = document.getElementById("clearStateBtn");
   if (clearBtn) {
     clearBtn.addEventListener("click", () => {
@@ -1682,6 +2966,81 @@ async function init() {
     });
   }
 
+  const exportSelect = document.getElementById("exportSelect");
+  if (exportSelect) exportSelect.addEventListener("change", () => {
+    const choice = exportSelect.value;
+    if (choice === "svg") exportGraphSvg();
+    else if (choice.startsWith("png-")) exportGraphPng(Number(choice.slice(4)));
+    else exportPlan(choice);
+    exportSelect.value = "";
+  });
+
+  const importButton = document.getElementById("importButton");
+  const importFile = document.getElementById("importFile");
+  if (importButton && importFile) {
+    importButton.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", () => {
+      if (importFile.files[0]) importPlanFile(importFile.files[0]);
+      importFile.value = "";
+    });
+  }
+
+  const editorButton = document.getElementById("editorButton");
+  const editorPanel = document.getElementById("recipeEditorPanel");
+  if (editorButton && editorPanel) {
+    refreshRecipeEditor();
+    editorButton.addEventListener("click", () => { editorPanel.hidden = !editorPanel.hidden; });
+    document.getElementById("editorItemSelect")?.addEventListener("change", loadEditorRecipe);
+    document.getElementById("editorRecipeSelect")?.addEventListener("change", loadEditorRecipe);
+    document.getElementById("editorAddInputBtn")?.addEventListener("click", () => addEditorInputRow()?.querySelector('input')?.focus());
+    document.getElementById("editorSaveBtn")?.addEventListener("click", saveEditorRecipe);
+    document.getElementById("editorExportBtn")?.addEventListener("click", exportRecipeOverrides);
+    document.getElementById("editorClearBtn")?.addEventListener("click", clearRecipeOverrides);
+    document.getElementById("overrideList")?.addEventListener("click", (ev) => {
+      const item = ev.target.closest('button[data-revert]')?.dataset.revert;
+      if (item) revertRecipeOverride(item);
+    });
+  }
+
+  const plansButton = document.getElementById("plansButton");
+  const savedPlansPanel = document.getElementById("savedPlansPanel");
+  if (plansButton && savedPlansPanel) {
+    renderSavedPlans();
+    plansButton.addEventListener("click", () => { savedPlansPanel.hidden = !savedPlansPanel.hidden; });
+  }
+
+  const planNameInput = document.getElementById("planNameInput");
+  document.getElementById("savePlanBtn")?.addEventListener("click", () => {
+    saveCurrentPlan(planNameInput?.value);
+    if (planNameInput) planNameInput.value = "";
+  });
+
+  const savedPlanList = document.getElementById("savedPlanList");
+  if (savedPlanList) {
+    savedPlanList.addEventListener("click", (ev) => {
+      const button = ev.target.closest('button[data-action]');
+      const id = button?.closest('tr[data-id]')?.dataset.id;
+      if (!id) return;
+      if (button.dataset.action === "load") loadSavedPlan(id);
+      else if (button.dataset.action === "duplicate") duplicateSavedPlan(id);
+      else if (button.dataset.action === "delete") deleteSavedPlan(id);
+    });
+    savedPlanList.addEventListener("change", (ev) => {
+      if (!ev.target.classList.contains('saved-plan-name')) return;
+      renameSavedPlan(ev.target.closest('tr[data-id]')?.dataset.id, ev.target.value);
+    });
+  }
+
+  document.getElementById("exportPlansBtn")?.addEventListener("click", exportPlanLibrary);
+  const importPlansFile = document.getElementById("importPlansFile");
+  if (importPlansFile) {
+    document.getElementById("importPlansBtn")?.addEventListener("click", () => importPlansFile.click());
+    importPlansFile.addEventListener("change", () => {
+      if (importPlansFile.files[0]) importPlanLibrary(importPlansFile.files[0]);
+      importPlansFile.value = "";
+    });
+  }
+
   const shareButton = document.getElementById("shareButton");
   if (shareButton) {
     shareButton.addEventListener("click", () => {
@@ -1713,19 +3072,19 @@ async function reloadRecipes() {
   RECIPES = {};
   TIERS = {};
   await loadRecipes();
-  // Re-populate select if present
+  checkRecipeData();
+  // Re-populate selects if present (main control + extra target rows)
   const itemSelect = document.getElementById('itemSelect');
-  if (itemSelect) {
-    const items = Object.keys(RECIPES || {}).filter(k => typeof k === 'string' && !k.startsWith('_')).sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
-    const prev = itemSelect.value;
-    itemSelect.innerHTML = `<option value="" disabled>Select Item Here</option>` +
-      items.map(it => `<option value="${escapeHtml(it)}">${escapeHtml(it)}</option>`).join("");
-    if (prev && items.includes(prev)) itemSelect.value = prev;
-  }
+  if (itemSelect) populateItemSelect(itemSelect, itemSelect.value);
+  document.querySelectorAll('#extraTargets .target-item').forEach(sel => populateItemSelect(sel, sel.value));
+  renderExtractorInputs();
+  renderCapInputs();
+  document.querySelectorAll('#supplyRows .supply-item').forEach(sel => populateSupplySelect(sel, sel.value));
+  refreshRecipeEditor();
 
   if (window._lastSelectedItem) {
     const rate = window._lastSelectedRate || 60;
-    const { chain } = expandChain(window._lastSelectedItem, rate);
+    const { chain } = expandChain(window._lastSelectedItem, rate, { recipeChoices: RECIPE_CHOICES });
     const graph = buildGraphData(chain, window._lastSelectedItem);
     document.getElementById('graphArea').innerHTML = renderGraph(graph.nodes, graph.links, window._lastSelectedItem);
     attachNodePointerHandlers(document.querySelector('.graphWrapper'));
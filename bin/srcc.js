@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// srcc - command-line planner built on calc.js
+// - srcc plan <item> <rate> [<item> <rate> ...] [options]
+//   Prints the same chain, MACHINES REQUIRED and EXTRACTION REQUIRED data as the page
+// - srcc validate [--recipes <path> | --dataset <id>]
+//   Checks a recipe dataset; exits 1 when it has errors
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const calc = require('../calc.js');
+
+const USAGE = `Usage: srcc plan <item> <rate> [<item> <rate> ...] [options]
+       srcc validate [--recipes <path> | --dataset <id>] [--format table|json]
+
+Options:
+  --rail <120|240|480>     Rail tier for each link, or the fastest one allowed (default ${calc.DEFAULT_RAIL_SPEED})
+  --rail-policy <policy>   ${calc.RAIL_POLICIES.join(" | ")}: same tier on every link, or the slowest that fits (default fixed)
+  --format <format>        ${calc.REPORT_FORMATS.join(" | ")} (default table)
+  --recipes <path>         Recipe data file (default data/recipes.json)
+  --dataset <id>           Dataset from data/datasets.json instead of --recipes
+  --recipe <item>=<name>   Use an alternate recipe for an item (repeatable)
+  --supply <item>=<rate>   Existing production the plan uses first (repeatable)
+  --decimals <n>           Digits after the decimal point (default 2)
+  -h, --help               Show this help
+
+Examples:
+  srcc plan "Superconductor" 30 --rail 240 --format markdown
+  srcc validate --recipes my-recipes.json`;
+
+class UsageError extends Error {}
+
+// Splits "Name=value" at the last "=" so item names may contain one
+function splitPair(value, flag) {
+  const sep = String(value).lastIndexOf("=");
+  if (sep <= 0) throw new UsageError(`${flag} expects <item>=<value>, got "${value}"`);
+  return [value.slice(0, sep), value.slice(sep + 1)];
+}
+
+function parseArgs(argv) {
+  const opts = { positional: [], rail: calc.DEFAULT_RAIL_SPEED, railPolicy: 'fixed', format: 'table', recipes: null, dataset: null, recipeChoices: {}, supplies: {}, decimals: 2, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '--rail') opts.rail = Number(value());
+    else if (arg === '--rail-policy') opts.railPolicy = value();
+    else if (arg === '--format') opts.format = value();
+    else if (arg === '--recipes') opts.recipes = value();
+    else if (arg === '--dataset') opts.dataset = value();
+    else if (arg === '--decimals') opts.decimals = Number(value());
+    else if (arg === '--recipe') {
+      const [item, name] = splitPair(value(), arg);
+      opts.recipeChoices[item] = name;
+    } else if (arg === '--supply') {
+      const [item, rate] = splitPair(value(), arg);
+      opts.supplies[item] = (opts.supplies[item] || 0) + Number(rate);
+    } else if (arg.startsWith('--')) throw new UsageError(`Unknown option ${arg}`);
+    else opts.positional.push(arg);
+  }
+  return opts;
+}
+
+// Recipe file for --recipes or --dataset; undefined means the default data/recipes.json
+function recipesFile(opts) {
+  if (opts.recipes && opts.dataset) throw new UsageError("use either --recipes or --dataset, not both");
+  if (opts.recipes) return path.resolve(opts.recipes);
+  if (!opts.dataset) return undefined;
+  const root = path.join(__dirname, '..');
+  const manifest = JSON.parse(fs.readFileSync(path.join(root, 'data', 'datasets.json'), 'utf8'));
+  const entry = (manifest.datasets || []).find(d => d.id === opts.dataset);
+  if (!entry) throw new UsageError(`Unknown dataset "${opts.dataset}" (expected ${(manifest.datasets || []).map(d => d.id).join(", ")})`);
+  return path.join(root, entry.file);
+}
+
+function plan(opts) {
+  const [, ...pairs] = opts.positional;
+  if (!pairs.length || pairs.length % 2) throw new UsageError("plan expects one or more <item> <rate> pairs");
+  if (!calc.REPORT_FORMATS.includes(opts.format)) throw new UsageError(`Unknown format "${opts.format}" (expected ${calc.REPORT_FORMATS.join(", ")})`);
+  if (!(opts.rail > 0)) throw new UsageError("--rail must be a positive number");
+  if (!calc.RAIL_POLICIES.includes(opts.railPolicy)) throw new UsageError(`--rail-policy must be ${calc.RAIL_POLICIES.join(" or ")}`);
+  if (!Number.isInteger(opts.decimals) || opts.decimals < 0 || opts.decimals > 4) throw new UsageError("--decimals must be 0-4");
+
+  calc.loadRecipesFromFile(recipesFile(opts));
+
+  const targets = [];
+  for (let i = 0; i < pairs.length; i += 2) {
+    const item = pairs[i];
+    const rate = Number(pairs[i + 1]);
+    if (item.startsWith('_') || !calc.getRecipeOptions(item).length) throw new Error(`Unknown item "${item}"`);
+    if (!(rate > 0)) throw new Error(`Invalid rate "${pairs[i + 1]}" for ${item}`);
+    targets.push({ item, rate });
+  }
+  for (const [item, name] of Object.entries(opts.recipeChoices)) {
+    if (!calc.getRecipeOptions(item).some(r => r.name === name)) throw new Error(`"${item}" has no recipe named "${name}"`);
+  }
+  const rawResources = calc.getRawResources();
+  for (const [item, rate] of Object.entries(opts.supplies)) {
+    if (item.startsWith('_') || (!calc.getRecipeOptions(item).length && !rawResources.includes(item))) throw new Error(`Unknown supply item "${item}"`);
+    if (!(rate > 0)) throw new Error(`Invalid supply rate for ${item}`);
+  }
+
+  const chainObj = calc.expandChain(targets, null, { recipeChoices: opts.recipeChoices, supplies: opts.supplies });
+  const report = calc.buildPlanReport(chainObj, { railSpeed: opts.rail, railPolicy: opts.railPolicy });
+  process.stdout.write(calc.formatPlanReport(report, opts.format, { decimals: opts.decimals }));
+  return report.error ? 1 : 0;
+}
+
+function validate(opts) {
+  if (opts.format !== 'table' && opts.format !== 'json') throw new UsageError(`validate supports --format table or json`);
+  const file = recipesFile(opts) || path.join(__dirname, '..', 'data', 'recipes.json');
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+  const issues = calc.validateRecipes(data);
+  process.stdout.write(opts.format === 'json' ? JSON.stringify(issues, null, 2) + "\n" : calc.formatValidationIssues(issues));
+  return issues.some(i => i.severity === "error") ? 1 : 0;
+}
+
+function main(argv) {
+  try {
+    const opts = parseArgs(argv);
+    if (opts.help || !opts.positional.length) {
+      console.log(USAGE);
+      return opts.help ? 0 : 1;
+    }
+    if (opts.positional[0] === 'plan') return plan(opts);
+    if (opts.positional[0] === 'validate') return validate(opts);
+    throw new UsageError(`Unknown command "${opts.positional[0]}"`);
+  } catch (err) {
+    console.error(`srcc: ${err.message}`);
+    if (err instanceof UsageError) console.error(`Run "srcc --help" for usage.`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,1654 @@
+// calc.js - Recipe data and production-chain math, shared by the page and Node
+// - No DOM access: safe to load as a classic <script> (before app.js) or via require()
+// - setRecipes / loadRecipesFromFile install a dataset and derive tiers and loops
+// - expandChain, reverse planning, optimizer, depths and graph data operate on the installed dataset
+// - buildPlanReport / formatPlanReport produce the page's tables as data or text (json, csv, markdown, table)
+
+'use strict';
+
+/* ===============================
+   Configuration & Constants
+   =============================== */
+// Table and graph fill per building (also checked by validateRecipes)
+const MACHINE_COLORS = {
+  "Smelter":      "#e67e22",
+  "Furnace":      "#d63031",
+  "Fabricator":   "#0984e3",
+  "Mega Press":   "#6c5ce7",
+  "Assembler":    "#00b894",
+  "Refinery":     "#e84393",
+  "Compounder":   "#00cec9",
+  "Pyro Forge":   "#a55eea",
+  "Pressurizer":  "#fdcb6e",
+  "Constructorizer v.2": "#8e5b3a"
+};
+
+const SPECIAL_EXTRACTORS = {
+  "Helium-3": 240,
+  "Goethite Ore": 400,
+  "Sulphur Ore": 240
+};
+
+// Output per extractor by node purity (special extractors only have a normal rate)
+const EXTRACTOR_PURITY_RATES = { impure: 60, normal: 120, pure: 240 };
+
+// Rail tiers, slowest first; the "cheapest" policy picks the first that carries a link on one rail
+const RAIL_TIERS = [
+  { tier: "v1", speed: 120 },
+  { tier: "v2", speed: 240 },
+  { tier: "v3", speed: 480 }
+];
+const RAIL_POLICIES = ['fixed', 'cheapest'];
+const DEFAULT_RAIL_SPEED = 240;
+
+/* ===============================
+   Globals
+   =============================== */
+let RECIPES = {};
+let TIERS = {};
+let RECIPE_CYCLES = [];
+
+/* ===============================
+   Utilities
+   =============================== */
+// Whole machines needed for a fractional requirement (tolerates float noise like 2.0000000001)
+function ceilCount(n) {
+  return Math.ceil(Number(n) - 1e-9);
+}
+
+/* ===============================
+   Recipe data
+   - setRecipes: install a parsed recipes.json object; returns the recipe loops it contains
+   - loadRecipesFromFile: Node only, reads a recipes.json file
+   =============================== */
+function setRecipes(data) {
+  if (!data || typeof data !== "object") throw new Error("Invalid recipe data format");
+
+  // Assign RECIPES and compute TIERS purely in memory
+  RECIPES = data;
+  TIERS = computeTiers();
+
+  RECIPE_CYCLES = findRecipeCycles();
+  return RECIPE_CYCLES;
+}
+
+function loadRecipesFromFile(file) {
+  const fs = require('fs');
+  const path = require('path');
+  return setRecipes(JSON.parse(fs.readFileSync(file || path.join(__dirname, 'data', 'recipes.json'), 'utf8')));
+}
+
+/* ===============================
+   Recipe options
+   - An item maps either to a single recipe object, or to
+     { "recipes": [ { "name", "default", inputs, output, time, building }, ... ] }
+   - The entry flagged "default": true (else the first) is used unless a plan chooses another
+   =============================== */
+const DEFAULT_RECIPE_NAME = "Default";
+
+function getRecipeOptions(name) {
+  if (typeof name !== 'string' || name.startsWith('_')) return [];
+  const entry = RECIPES[name];
+  if (!entry || typeof entry !== 'object') return [];
+
+  if (Array.isArray(entry.recipes)) {
+    const options = entry.recipes
+      .filter(r => r && typeof r === 'object' && r.inputs)
+      .map((r, i) => normalizeRecipeOutputs(name, { ...r, name: String(r.name || `Recipe ${i + 1}`), default: !!r.default }));
+    if (options.length && !options.some(r => r.default)) options[0].default = true;
+    return options;
+  }
+
+  if (!entry.inputs) return [];
+  return [normalizeRecipeOutputs(name, { ...entry, name: DEFAULT_RECIPE_NAME, default: true })];
+}
+
+// Multi-output recipes list every product in "outputs": { "<item>": 2, "<other>": 1 }.
+// The keyed item's amount becomes `output`; the rest become `byproducts` (per craft).
+function normalizeRecipeOutputs(item, recipe) {
+  const outputs = (recipe.outputs && typeof recipe.outputs === 'object') ? recipe.outputs : null;
+  const byproducts = {};
+  if (outputs) {
+    for (const [name, qty] of Object.entries(outputs)) {
+      if (name !== item && Number(qty) > 0) byproducts[name] = Number(qty);
+    }
+  }
+  return { ...recipe, output: Number(recipe.output ?? outputs?.[item]), byproducts };
+}
+
+function getDefaultRecipeName(name) {
+  const options = getRecipeOptions(name);
+  const def = options.find(r => r.default) || options[0];
+  return def ? def.name : null;
+}
+
+// Resolve the recipe used for an item, honouring a plan's { item: recipeName } choices
+function getRecipe(name, recipeChoices) {
+  const options = getRecipeOptions(name);
+  if (!options.length) return null;
+  const chosen = recipeChoices ? recipeChoices[name] : null;
+  return options.find(r => r.name === chosen) || options.find(r => r.default) || options[0];
+}
+
+// Reverse lookup: every recipe, alternates included, that takes `name` as an input
+function findConsumers(name) {
+  const consumers = [];
+  for (const item of Object.keys(RECIPES || {})) {
+    for (const recipe of getRecipeOptions(item)) {
+      if (Object.prototype.hasOwnProperty.call(recipe.inputs, name)) {
+        consumers.push({ item, recipe: recipe.name, default: recipe.default, amount: recipe.inputs[name] });
+      }
+    }
+  }
+  return consumers.sort((a, b) => a.item.localeCompare(b.item, undefined, { sensitivity: 'base' }) || (b.default - a.default));
+}
+
+// Tier = 1 + highest input tier, following the chosen (or default) recipe per item.
+// Items in a recipe loop share one tier (one above the loop's outside inputs).
+function computeTiers(recipeChoices) {
+  const tiers = {};
+  const inputsOf = (name) => Object.keys(getRecipe(name, recipeChoices)?.inputs || {});
+  const craftedInputsOf = (name) => inputsOf(name).filter(i => getRecipe(i, recipeChoices));
+  const crafted = Object.keys(RECIPES).filter(name => getRecipe(name, recipeChoices));
+
+  // Components arrive inputs-first, so every outside input already has its tier
+  for (const component of findComponents(crafted, craftedInputsOf)) {
+    const members = new Set(component);
+    let maxInputTier = -1;
+    for (const name of component) {
+      for (const inputName of inputsOf(name)) {
+        if (members.has(inputName)) continue;
+        const t = tiers[inputName] ?? 0;
+        if (t > maxInputTier) maxInputTier = t;
+      }
+    }
+    const tier = (maxInputTier >= 0) ? (maxInputTier + 1) : 1;
+    for (const name of component) tiers[name] = tier;
+  }
+
+  for (const name of Object.keys(RECIPES)) {
+    if (tiers[name] === undefined) tiers[name] = 0;
+  }
+  return tiers;
+}
+
+/* ===============================
+   Recipe loops
+   - A loop is any set of items that (directly or indirectly) consume or
+     make each other through inputs or byproducts
+   =============================== */
+
+// Tarjan's strongly connected components. Components are returned dependencies-first:
+// a component appears after every component reachable from it.
+function findComponents(items, edgesOf) {
+  let counter = 0;
+  const index = {};
+  const low = {};
+  const onStack = {};
+  const stack = [];
+  const components = [];
+
+  function visit(v) {
+    index[v] = low[v] = counter++;
+    stack.push(v);
+    onStack[v] = true;
+    for (const w of edgesOf(v)) {
+      if (index[w] === undefined) {
+        visit(w);
+        low[v] = Math.min(low[v], low[w]);
+      } else if (onStack[w]) {
+        low[v] = Math.min(low[v], index[w]);
+      }
+    }
+    if (low[v] === index[v]) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack[w] = false;
+        component.push(w);
+      } while (w !== v);
+      components.push(component);
+    }
+  }
+
+  for (const v of items) if (index[v] === undefined) visit(v);
+  return components;
+}
+
+function isLoopComponent(component, edgesOf) {
+  return component.length > 1 || edgesOf(component[0]).includes(component[0]);
+}
+
+// Items whose balance depends on `name`'s production: its inputs and byproducts.
+// recipeChoices undefined considers every recipe option (used for dataset-wide checks).
+function getLinkedItems(name, recipeChoices) {
+  const recipes = recipeChoices === undefined ? getRecipeOptions(name) : [getRecipe(name, recipeChoices)].filter(Boolean);
+  const linked = new Set();
+  for (const recipe of recipes) {
+    for (const input of Object.keys(recipe.inputs || {})) linked.add(input);
+    for (const byproduct of Object.keys(recipe.byproducts || {})) linked.add(byproduct);
+  }
+  return [...linked].filter(item => getRecipeOptions(item).length);
+}
+
+// Every loop in the dataset across all recipe options, each as a sorted list of items
+function findRecipeCycles() {
+  const crafted = Object.keys(RECIPES).filter(name => getRecipeOptions(name).length);
+  const edgesOf = (name) => getLinkedItems(name);
+  return findComponents(crafted, edgesOf)
+    .filter(component => isLoopComponent(component, edgesOf))
+    .map(component => component.sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' })));
+}
+
+/* ===============================
+   Power data
+   - Read from the "_power" block: draw per building and per extractor (with a "default")
+   - "placeholder": true marks figures not yet measured in game; pages and reports say so
+   =============================== */
+const POWER_PLACEHOLDER_NOTE = "Power figures are placeholders, not measured in game.";
+
+function isPowerPlaceholder() {
+  return RECIPES?._power?.placeholder === true;
+}
+
+function getPowerUnit() {
+  return RECIPES?._power?.unit || "kW";
+}
+
+function getBuildingPower(building) {
+  const v = Number(RECIPES?._power?.buildings?.[building]);
+  return Number.isFinite(v) ? v : 0;
+}
+
+function getExtractorPower(resource) {
+  const extractors = RECIPES?._power?.extractors || {};
+  const v = Number(extractors[resource] ?? extractors.default);
+  return Number.isFinite(v) ? v : 0;
+}
+
+// Extractors needed on normal-purity nodes (the figure power is estimated from)
+function getNormalExtractorCount(resource, qty) {
+  const perExtractor = SPECIAL_EXTRACTORS[resource] || EXTRACTOR_PURITY_RATES.normal;
+  return Math.ceil(Math.ceil(qty) / perExtractor);
+}
+
+/* ===============================
+   Expand production chain
+   =============================== */
+
+// Normalize a plan's targets into [{ item, rate }], merging duplicate items.
+// Accepts a single item name (with targetRate) or an array of targets.
+function normalizeTargets(targets, targetRate) {
+  const list = Array.isArray(targets) ? targets : [{ item: targets, rate: targetRate }];
+  const merged = [];
+  const byItem = {};
+  for (const t of list) {
+    if (!t || typeof t.item !== 'string' || !t.item || t.item.startsWith('_')) continue;
+    const rate = Number(t.rate);
+    if (!Number.isFinite(rate) || rate <= 0) continue;
+    if (byItem[t.item]) { byItem[t.item].rate += rate; continue; }
+    byItem[t.item] = { item: t.item, rate };
+    merged.push(byItem[t.item]);
+  }
+  return merged;
+}
+
+// Expand one or more targets into a single merged chain.
+// expandChain("Superconductor", 30) and
+// expandChain([{ item: "Superconductor", rate: 30 }, { item: "Heat Shield", rate: 10 }])
+// are both supported; shared intermediates are summed before machines are counted.
+// options.recipeChoices selects a named alternate recipe per item.
+// options.supplies ({ item: rate/min }) is existing production consumed before anything is built.
+function expandChain(targets, targetRate, options = {}) {
+  const planTargets = normalizeTargets(targets, targetRate);
+  const recipeChoices = (options && options.recipeChoices) || {};
+  const supplies = (options && options.supplies) || {};
+
+  // Loops break the tier-ordered queue below, so they are solved as a linear system instead.
+  // So are byproducts: the queue settles higher tiers first, before the lower-tier rows
+  // whose byproducts could have covered them.
+  const cycles = findChainCycles(planTargets, recipeChoices);
+  if (cycles.length || chainHasByproducts(planTargets, recipeChoices)) {
+    return expandChainLinear(planTargets, recipeChoices, supplies, cycles);
+  }
+
+  const supplyLeft = Object.assign({}, supplies);
+  const imports = {};
+  // Alternate recipes can reorder the chain, so tiers are recomputed for non-default choices
+  const tiers = Object.keys(recipeChoices).length ? computeTiers(recipeChoices) : TIERS;
+  const chain = {};
+  const extractorTotals = {};
+  const pending = {};
+  const rawPending = {};
+  const processed = {};
+  const queue = [];
+
+  function trackExtractor(name, rate) {
+    extractorTotals[name] = (extractorTotals[name] || 0) + rate;
+  }
+
+  function enqueue(name, rate) {
+    const recipe = getRecipe(name, recipeChoices);
+    if (!recipe) {
+      rawPending[name] = (rawPending[name] || 0) + rate;
+      return;
+    }
+    pending[name] = (pending[name] || 0) + rate;
+    if (!processed[name]) queue.push(name);
+  }
+
+  // Take up to `rate` of an item from declared supply, recording it as an import
+  function drawFromSupply(name, rate) {
+    const available = Number(supplyLeft[name]) || 0;
+    const used = Math.min(Math.max(0, available), rate);
+    if (used > 0) {
+      supplyLeft[name] = available - used;
+      imports[name] = (imports[name] || 0) + used;
+    }
+    return used;
+  }
+
+  for (const t of planTargets) enqueue(t.item, t.rate);
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => (tiers[b] ?? 0) - (tiers[a] ?? 0));
+    const current = queue.shift();
+    if (processed[current]) continue;
+    processed[current] = true;
+
+    const rate = pending[current];
+    const recipe = getRecipe(current, recipeChoices);
+
+    // Supply first; only the shortfall gets machines
+    const imported = drawFromSupply(current, rate);
+    if (rate - imported <= 1e-9) continue;
+    const row = buildChainRow(recipe, rate, imported, 0, {});
+    chain[current] = row;
+
+    for (const [input, inputRate] of Object.entries(row.inputs)) enqueue(input, inputRate);
+  }
+
+  for (const [name, rate] of Object.entries(rawPending)) {
+    const imported = drawFromSupply(name, rate);
+    if (rate - imported <= 1e-9) continue;
+    trackExtractor(name, rate - imported);
+    chain[name] = buildRawRow(rate, imported, 0, {});
+  }
+
+  return finishChain({ chain, extractorTotals, byproductPool: {}, imports, supplies, planTargets, recipeChoices });
+}
+
+// True when any recipe these targets reach makes byproducts
+function chainHasByproducts(planTargets, recipeChoices) {
+  const seen = new Set();
+  const stack = planTargets.map(t => t.item);
+  while (stack.length) {
+    const name = stack.pop();
+    if (seen.has(name)) continue;
+    seen.add(name);
+    const recipe = getRecipe(name, recipeChoices);
+    if (!recipe) continue;
+    if (Object.keys(recipe.byproducts || {}).length) return true;
+    stack.push(...Object.keys(recipe.inputs));
+  }
+  return false;
+}
+
+// A crafted row: `rate` is the demand, of which `imported` comes from supply and
+// `fromByproducts` from other rows' byproducts; machines make the rest.
+function buildChainRow(recipe, rate, imported, fromByproducts, byproductSources) {
+  const produced = Math.max(0, rate - imported - fromByproducts);
+  const craftsPerMin = produced / recipe.output;
+  const outputPerMinPerMachine = (recipe.output * 60) / recipe.time;
+  // machines stays fractional; machinesBuilt is what actually gets placed
+  const machines = produced / outputPerMinPerMachine;
+  const machinesBuilt = ceilCount(machines);
+
+  const row = {
+    rate,
+    produced,
+    raw: false,
+    building: recipe.building,
+    recipe: recipe.name,
+    defaultRecipe: !!recipe.default,
+    machines,
+    machinesBuilt,
+    outputPerMachine: outputPerMinPerMachine,
+    // power: every built machine at full draw; powerUsed: only the utilized fraction
+    power: machinesBuilt * getBuildingPower(recipe.building),
+    powerUsed: machines * getBuildingPower(recipe.building),
+    imported,
+    fromByproducts,
+    byproductSources,
+    byproducts: {},
+    inputs: {}
+  };
+
+  for (const [input, qty] of Object.entries(recipe.inputs)) {
+    const inputRate = craftsPerMin * qty;
+    // Fully covered by supply or byproducts: nothing to feed
+    if (inputRate > 0) row.inputs[input] = inputRate;
+  }
+  for (const [byproduct, qty] of Object.entries(recipe.byproducts || {})) {
+    const byproductRate = craftsPerMin * qty;
+    if (byproductRate > 0) row.byproducts[byproduct] = byproductRate;
+  }
+  return row;
+}
+
+function buildRawRow(rate, imported, fromByproducts, byproductSources) {
+  return { rate, raw: true, building: "RAW", machines: 0, inputs: {}, imported, fromByproducts, byproductSources };
+}
+
+// Totals shared by the queue and linear expansion paths
+function finishChain({ chain, extractorTotals, byproductPool, imports, supplies, planTargets, recipeChoices, cycles = [] }) {
+  const machineTotals = {};
+  const machineExactTotals = {};
+  for (const data of Object.values(chain)) {
+    if (data.raw) continue;
+    machineTotals[data.building] = (machineTotals[data.building] || 0) + data.machinesBuilt;
+    machineExactTotals[data.building] = (machineExactTotals[data.building] || 0) + data.machines;
+  }
+
+  return {
+    chain, machineTotals, machineExactTotals, extractorTotals,
+    surplus: computeSurplus(chain, byproductPool),
+    imports: summarizeImports(imports, supplies),
+    power: computePowerTotals(chain, extractorTotals),
+    targets: planTargets, recipeChoices, cycles
+  };
+}
+
+// Loops among the items these targets reach with the chosen recipes
+function findChainCycles(planTargets, recipeChoices) {
+  const edgesOf = (name) => getLinkedItems(name, recipeChoices);
+  const roots = planTargets.map(t => t.item).filter(item => getRecipe(item, recipeChoices));
+  return findComponents(roots, edgesOf).filter(component => isLoopComponent(component, edgesOf));
+}
+
+/* ===============================
+   Linear solver for chains with loops or byproducts
+   - Unknown x[i] = machine-made output of crafted item i (per min)
+   - Balance: x[i] + supply[i] + byproducts into i = target demand[i] + consumption of i
+   - Items whose supply/byproducts exceed their need are pinned to x = 0 (active-set)
+   =============================== */
+function expandChainLinear(planTargets, recipeChoices, supplies, cycles) {
+  // Everything reachable from the targets through inputs and byproducts
+  const crafted = [];
+  const rawItems = [];
+  const seen = new Set();
+  const visit = (name) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    const recipe = getRecipe(name, recipeChoices);
+    if (!recipe) { rawItems.push(name); return; }
+    crafted.push(name);
+    for (const input of Object.keys(recipe.inputs)) visit(input);
+    for (const byproduct of Object.keys(recipe.byproducts || {})) visit(byproduct);
+  };
+  for (const t of planTargets) visit(t.item);
+
+  const recipes = {};
+  for (const name of crafted) recipes[name] = getRecipe(name, recipeChoices);
+  const demand = {};
+  for (const t of planTargets) demand[t.item] = (demand[t.item] || 0) + t.rate;
+  const supplyOf = (name) => Math.max(0, Number(supplies[name]) || 0);
+
+  // Per unit of j's output: how much of `item` it consumes, and how much it makes as a byproduct
+  const consumes = (j, item) => (recipes[j].inputs[item] || 0) / recipes[j].output;
+  const makes = (j, item) => (recipes[j].byproducts?.[item] || 0) / recipes[j].output;
+
+  const grossNeed = (item, x) => (demand[item] || 0) + crafted.reduce((sum, j) => sum + consumes(j, item) * x[j], 0);
+  const byproductIn = (item, x) => crafted.reduce((sum, j) => sum + makes(j, item) * x[j], 0);
+
+  const active = new Set(crafted);
+  let x = {};
+  let feasible = false;
+
+  for (let iteration = 0; iteration <= crafted.length * 2; iteration++) {
+    const order = crafted.filter(name => active.has(name));
+    const matrix = order.map(i => order.map(j => (i === j ? 1 : 0) - consumes(j, i) + makes(j, i)));
+    const rhs = order.map(i => (demand[i] || 0) - supplyOf(i));
+    const solution = solveLinearSystem(matrix, rhs);
+    if (!solution) break;
+
+    x = {};
+    for (const name of crafted) x[name] = 0;
+    order.forEach((name, k) => { x[name] = solution[k]; });
+
+    // Pin items with excess supply to zero, and release pinned items that now fall short
+    let changed = false;
+    for (const name of crafted) {
+      if (active.has(name) && x[name] < -1e-9) {
+        active.delete(name);
+        changed = true;
+      } else if (!active.has(name) && grossNeed(name, x) > supplyOf(name) + byproductIn(name, x) + 1e-6) {
+        active.add(name);
+        changed = true;
+      }
+    }
+    if (!changed) { feasible = true; break; }
+  }
+
+  if (!feasible) {
+    const error = cycles.length
+      ? `Recipe loop ${cycles.map(c => c.join(" → ")).join("; ")} cannot be balanced: it consumes at least as much as it makes.`
+      : "This plan's byproducts cannot be balanced.";
+    return Object.assign(finishChain({
+      chain: {}, extractorTotals: {}, byproductPool: {}, imports: {}, supplies, planTargets, recipeChoices, cycles
+    }), { error });
+  }
+  for (const name of crafted) x[name] = Math.max(0, x[name]);
+
+  const chain = {};
+  const extractorTotals = {};
+  const imports = {};
+  const byproductPool = {};
+
+  // Split an item's need into supply, then byproducts (shared pro rata between producers)
+  function settle(item) {
+    const need = grossNeed(item, x);
+    const imported = Math.min(supplyOf(item), need);
+    if (imported > 0) imports[item] = imported;
+    const available = byproductIn(item, x);
+    const fromByproducts = Math.min(available, need - imported);
+    const usedShare = available > 0 ? fromByproducts / available : 0;
+    const sources = {};
+    for (const j of crafted) {
+      const made = makes(j, item) * x[j];
+      if (!(made > 0)) continue;
+      if (made * usedShare > 1e-9) sources[j] = made * usedShare;
+      (byproductPool[item] || (byproductPool[item] = [])).push({ source: j, rate: made * (1 - usedShare) });
+    }
+    return { need, imported, fromByproducts, sources };
+  }
+
+  for (const name of crafted) {
+    const { need, imported, fromByproducts, sources } = settle(name);
+    if (need - imported <= 1e-9) continue;
+    chain[name] = buildChainRow(recipes[name], need, imported, fromByproducts, sources);
+  }
+  for (const name of rawItems) {
+    const { need, imported, fromByproducts, sources } = settle(name);
+    if (need - imported <= 1e-9) continue;
+    const extracted = need - imported - fromByproducts;
+    if (extracted > 1e-9) extractorTotals[name] = extracted;
+    chain[name] = buildRawRow(need, imported, fromByproducts, sources);
+  }
+
+  return finishChain({ chain, extractorTotals, byproductPool, imports, supplies, planTargets, recipeChoices, cycles });
+}
+
+// Gaussian elimination with partial pivoting; null when the system is singular
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => row.concat([rhs[i]]));
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = a[r][col] / a[col][col];
+      if (factor === 0) continue;
+      for (let c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+// { item: { used, available } } for every declared supply
+function summarizeImports(used, supplies) {
+  const summary = {};
+  for (const [item, available] of Object.entries(supplies)) {
+    if (!(Number(available) > 0)) continue;
+    summary[item] = { used: used[item] || 0, available: Number(available) };
+  }
+  return summary;
+}
+
+function hasSupplies(options) {
+  return Object.values((options && options.supplies) || {}).some(v => Number(v) > 0);
+}
+
+// Largest scale for which fits(scale) holds, assuming fits is true up to some point and false after.
+// Returns Infinity when nothing bounds it (e.g. supplies cover every requirement).
+function searchMaxScale(fits) {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 40 && fits(hi); i++) { lo = hi; hi *= 2; }
+  if (fits(hi)) return Infinity;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid)) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+// Output beyond what the plan consumes: unused byproducts, plus spare capacity
+// left by rounding machine counts up to whole buildings.
+function computeSurplus(chain, byproductPool) {
+  const surplus = {};
+  const entryFor = (item) => surplus[item] || (surplus[item] = { byproduct: 0, rounding: 0, sources: [] });
+
+  for (const [item, entries] of Object.entries(byproductPool || {})) {
+    for (const { source, rate } of entries) {
+      if (rate <= 1e-9) continue;
+      const entry = entryFor(item);
+      entry.byproduct += rate;
+      if (!entry.sources.includes(source)) entry.sources.push(source);
+    }
+  }
+
+  for (const [item, data] of Object.entries(chain)) {
+    if (data.raw || !(data.outputPerMachine > 0)) continue;
+    const spare = data.machinesBuilt * data.outputPerMachine - data.produced;
+    if (spare > 1e-6) entryFor(item).rounding += spare;
+  }
+
+  return surplus;
+}
+
+// Plan-wide power: built machines, their utilized share, and extractors (normal nodes)
+function computePowerTotals(chain, extractorTotals) {
+  const byBuilding = {};
+  let built = 0;
+  let used = 0;
+  for (const data of Object.values(chain)) {
+    if (data.raw) continue;
+    const entry = byBuilding[data.building] || (byBuilding[data.building] = { built: 0, used: 0 });
+    entry.built += data.power || 0;
+    entry.used += data.powerUsed || 0;
+    built += data.power || 0;
+    used += data.powerUsed || 0;
+  }
+
+  const byExtractor = {};
+  let extractors = 0;
+  for (const [resource, qty] of Object.entries(extractorTotals)) {
+    if (!(qty > 0)) continue;
+    byExtractor[resource] = getNormalExtractorCount(resource, qty) * getExtractorPower(resource);
+    extractors += byExtractor[resource];
+  }
+
+  return { unit: getPowerUnit(), byBuilding, byExtractor, built, used, idle: built - used, extractors, total: built + extractors };
+}
+
+/* ===============================
+   Reverse calculation: max output from available extractors
+   =============================== */
+
+// Every item consumed by some recipe but not craftable itself
+function getRawResources() {
+  const raws = new Set();
+  for (const name of Object.keys(RECIPES || {})) {
+    for (const recipe of getRecipeOptions(name)) {
+      for (const input of Object.keys(recipe.inputs || {})) {
+        if (!getRecipeOptions(input).length) raws.add(input);
+      }
+    }
+  }
+  return [...raws].sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+// counts: { impure, normal, pure } extractor counts for one resource
+function getExtractorCapacity(resource, counts) {
+  if (!counts) return 0;
+  if (SPECIAL_EXTRACTORS[resource]) return (Number(counts.normal) || 0) * SPECIAL_EXTRACTORS[resource];
+  let total = 0;
+  for (const [purity, perExtractor] of Object.entries(EXTRACTOR_PURITY_RATES)) {
+    total += (Number(counts[purity]) || 0) * perExtractor;
+  }
+  return total;
+}
+
+// Find the largest multiple of the target mix that the available extractors sustain.
+// targets' rates act as ratios; available maps resource -> { impure, normal, pure }.
+// Resources without any extractors count as zero capacity.
+function computeMaxFromExtractors(targets, available, options = {}) {
+  const mix = normalizeTargets(targets);
+  const extractionAt = (scale) => expandChain(mix.map(t => ({ item: t.item, rate: t.rate * scale })), null, options).extractorTotals;
+  const capacityOf = (resource) => getExtractorCapacity(resource, available?.[resource]);
+  let scale = Infinity;
+
+  const probe = expandChain(mix, null, options);
+  if (probe.error) return { error: probe.error, scale: 0, limiting: [], usage: {}, targets: [] };
+
+  if (hasSupplies(options)) {
+    // Supplies are absolute, so extraction no longer scales linearly with the targets
+    scale = searchMaxScale(s => Object.entries(extractionAt(s)).every(([r, qty]) => qty <= capacityOf(r) + 1e-6));
+  } else {
+    for (const [resource, perUnit] of Object.entries(extractionAt(1))) {
+      if (perUnit > 0) scale = Math.min(scale, capacityOf(resource) / perUnit);
+    }
+  }
+
+  if (!Number.isFinite(scale)) return { scale, limiting: [], usage: {}, targets: [] };
+
+  // Report every resource the mix draws on, even when the answer is zero
+  const extracted = extractionAt(scale > 0 ? scale : 1);
+  const usage = {};
+  for (const [resource, qty] of Object.entries(extracted)) {
+    if (!(qty > 0)) continue;
+    usage[resource] = { capacity: capacityOf(resource), used: scale > 0 ? qty : 0 };
+  }
+  const limiting = Object.keys(usage).filter(r => usage[r].capacity <= 0 || usage[r].used >= usage[r].capacity * (1 - 1e-6) - 1e-6);
+
+  return { scale, limiting, usage, targets: scaleTargets(mix, scale) };
+}
+
+// Multiply a target mix by scale, rounding rates down to two decimals so the
+// plan never exceeds the supply (or machine block) it was derived from
+function scaleTargets(mix, scale) {
+  return mix.map(t => ({ item: t.item, rate: Math.floor(t.rate * scale * 100 + 1e-6) / 100 }));
+}
+
+/* ===============================
+   Machine-count planning: back-solve rates from a fixed block of machines
+   =============================== */
+
+// Scale the target mix so that `machineCount` machines of `nodeItem` run at full speed.
+// nodeItem may be a target or any intermediate in the chain.
+function computeRateFromMachines(targets, nodeItem, machineCount, options = {}) {
+  const mix = normalizeTargets(targets);
+  const unit = expandChain(mix, null, options);
+  if (unit.error) return { error: unit.error, scale: 0, targets: [] };
+  const node = unit.chain[nodeItem];
+  const recipe = getRecipe(nodeItem, options?.recipeChoices);
+
+  if (!recipe || !recipe.output || !recipe.time || (node && node.raw)) {
+    return { error: `${nodeItem} is not crafted in this chain.`, scale: 0, targets: [] };
+  }
+
+  const perMachine = (recipe.output * 60) / recipe.time;
+  const nodeRate = machineCount * perMachine;
+  // Machines only make the part not already covered by supplies or byproducts
+  const madeRateAt = (scale) => {
+    const row = expandChain(mix.map(t => ({ item: t.item, rate: t.rate * scale })), null, options).chain[nodeItem];
+    return row ? (row.produced ?? row.rate) : 0;
+  };
+
+  let scale;
+  if (hasSupplies(options)) {
+    scale = searchMaxScale(s => madeRateAt(s) <= nodeRate + 1e-6);
+  } else {
+    const madeRate = node ? (node.produced ?? node.rate) : 0;
+    scale = madeRate > 0 ? nodeRate / madeRate : Infinity;
+  }
+
+  if (!Number.isFinite(scale)) {
+    return { error: `${nodeItem} has no machine-made demand in this chain.`, scale: 0, targets: [] };
+  }
+  return { scale, node: nodeItem, machines: machineCount, building: recipe.building, nodeRate, targets: scaleTargets(mix, scale) };
+}
+
+/* ===============================
+   Recipe optimizer
+   - Picks one recipe per item (among the dataset's alternates) to minimize an objective,
+     subject to optional caps on raw resources (per min)
+   =============================== */
+const OPTIMIZER_OBJECTIVES = {
+  raw: "Total raw ore / min",
+  machines: "Total machines",
+  power: "Total power",
+  weighted: "Weighted mix"
+};
+const OPTIMIZER_MAX_COMBINATIONS = 4096;
+
+// Lower is better. weights: { raw, machines, power } (only used by "weighted")
+function scorePlan(chainObj, objective, weights = {}) {
+  const raw = Object.values(chainObj.extractorTotals || {}).reduce((sum, v) => sum + v, 0);
+  const machines = Object.values(chainObj.machineTotals || {}).reduce((sum, v) => sum + v, 0);
+  const power = chainObj.power?.total || 0;
+  if (objective === 'machines') return machines;
+  if (objective === 'power') return power;
+  if (objective === 'weighted') {
+    return (Number(weights.raw) || 0) * raw + (Number(weights.machines) || 0) * machines + (Number(weights.power) || 0) * power;
+  }
+  return raw;
+}
+
+// settings: { objective, weights, caps: { resource: maxPerMin }, supplies }
+function optimizeRecipes(targets, settings = {}) {
+  const mix = normalizeTargets(targets);
+  const objective = OPTIMIZER_OBJECTIVES[settings.objective] ? settings.objective : 'raw';
+  const caps = settings.caps || {};
+
+  // Items with alternates that any combination of choices could reach
+  const reachable = new Set();
+  const visit = (name) => {
+    if (reachable.has(name)) return;
+    reachable.add(name);
+    for (const next of getLinkedItems(name)) visit(next);
+  };
+  for (const t of mix) if (getRecipeOptions(t.item).length) visit(t.item);
+  const decisions = [...reachable]
+    .filter(name => getRecipeOptions(name).length > 1)
+    .sort((a,b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+  let evaluated = 0;
+  function evaluate(choices) {
+    evaluated++;
+    const chainObj = expandChain(mix, null, { recipeChoices: choices, supplies: settings.supplies });
+    if (chainObj.error) return null;
+    for (const [resource, cap] of Object.entries(caps)) {
+      if ((chainObj.extractorTotals[resource] || 0) > Number(cap) + 1e-6) return null;
+    }
+    return { choices, chainObj, score: scorePlan(chainObj, objective, settings.weights) };
+  }
+  const better = (a, b) => a && (!b || a.score < b.score - 1e-9);
+
+  const optionNames = decisions.map(name => getRecipeOptions(name).map(r => r.name));
+  const combinations = optionNames.reduce((n, names) => n * names.length, 1);
+  const exhaustive = combinations <= OPTIMIZER_MAX_COMBINATIONS;
+  let best = null;
+
+  if (exhaustive) {
+    // Try every combination
+    const pick = new Array(decisions.length).fill(0);
+    for (let n = 0; n < combinations; n++) {
+      const choices = {};
+      decisions.forEach((name, i) => { choices[name] = optionNames[i][pick[i]]; });
+      const result = evaluate(choices);
+      if (better(result, best)) best = result;
+      for (let i = 0; i < pick.length; i++) {
+        if (++pick[i] < optionNames[i].length) break;
+        pick[i] = 0;
+      }
+    }
+  } else {
+    // Too many combinations: improve one item at a time, starting from the defaults
+    const choices = {};
+    decisions.forEach(name => { choices[name] = getDefaultRecipeName(name); });
+    best = evaluate(Object.assign({}, choices));
+    for (let pass = 0; pass < 10; pass++) {
+      let improved = false;
+      for (let i = 0; i < decisions.length; i++) {
+        for (const option of optionNames[i]) {
+          const trial = Object.assign({}, best ? best.choices : choices, { [decisions[i]]: option });
+          const result = evaluate(trial);
+          if (better(result, best)) { best = result; improved = true; }
+        }
+      }
+      if (!improved) break;
+    }
+  }
+
+  if (!best) {
+    return { error: "No recipe combination satisfies the raw resource caps.", decisions, evaluated, exhaustive };
+  }
+
+  // Keep only non-default choices, matching how plans store them
+  const recipeChoices = {};
+  for (const [name, recipe] of Object.entries(best.choices)) {
+    if (recipe !== getDefaultRecipeName(name)) recipeChoices[name] = recipe;
+  }
+  return { objective, score: best.score, recipeChoices, selected: best.choices, decisions, evaluated, exhaustive, chainObj: best.chainObj };
+}
+
+/* ===============================
+   Layered layout & graph data
+   - computeChainDepths: a column per chain item, taken from the chain itself
+   - orderLayers: orders each column to reduce edge crossings, with waypoints for long links
+   =============================== */
+
+// Raw resources sit in column 0 and every crafted item one column right of its deepest input;
+// items in a recipe loop share a column. Byproduct feeds do not move columns.
+function computeChainDepths(chain) {
+  const items = Object.keys(chain || {});
+  const inputsOf = (name) => Object.keys(chain[name].inputs || {}).filter(i => Object.prototype.hasOwnProperty.call(chain, i));
+  const depths = {};
+
+  // Components arrive inputs-first, so every outside input already has its column
+  for (const component of findComponents(items, inputsOf)) {
+    const members = new Set(component);
+    let depth = 0;
+    for (const name of component) {
+      if (chain[name].raw) continue;
+      depth = Math.max(depth, 1);
+      for (const input of inputsOf(name)) {
+        if (!members.has(input)) depth = Math.max(depth, depths[input] + 1);
+      }
+    }
+    for (const name of component) depths[name] = depth;
+  }
+  return depths;
+}
+
+// Crossings between two adjacent columns, for segments given as [leftPosition, rightPosition]
+function countCrossings(segments) {
+  let crossings = 0;
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const [a1, b1] = segments[i];
+      const [a2, b2] = segments[j];
+      if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+// Orders nodes within their columns (node.depth) so links cross as little as possible.
+// Links run consumer (from) -> input (to); one spanning several columns gets a waypoint in each
+// column it passes, so it keeps a lane of its own. Links that run backwards or stay in one column
+// (recipe loops, some byproducts) are drawn apart and take no part.
+// Returns { columns: [[slot, ...]], routes, crossings } where a slot is { id, node } or
+// { id, dummy: true }, and routes[i] lists the waypoint ids of links[i], producer side first.
+function orderLayers(nodes, links, options = {}) {
+  const sweeps = options.sweeps ?? 12;
+  const maxDepth = Math.max(0, ...nodes.map(n => n.depth));
+  const columns = Array.from({ length: maxDepth + 1 }, () => []);
+  const slotById = new Map();
+  const addSlot = (slot, depth) => {
+    slot.depth = depth;
+    columns[depth].push(slot);
+    slotById.set(slot.id, slot);
+    return slot;
+  };
+  const byLabel = (a, b) => String(a.label || a.id).localeCompare(String(b.label || b.id));
+  for (const node of nodes.slice().sort(byLabel)) addSlot({ id: node.id, node }, node.depth);
+
+  // Segments join slots in neighbouring columns: [left id, right id]
+  const segments = [];
+  const routes = links.map((link, index) => {
+    const producer = slotById.get(link.to);
+    const consumer = slotById.get(link.from);
+    if (!producer || !consumer || consumer.depth <= producer.depth) return [];
+    const waypoints = [];
+    let previous = producer.id;
+    for (let depth = producer.depth + 1; depth < consumer.depth; depth++) {
+      const dummy = addSlot({ id: `\u0000${index}:${depth}`, dummy: true }, depth);
+      waypoints.push(dummy.id);
+      segments.push([previous, dummy.id]);
+      previous = dummy.id;
+    }
+    segments.push([previous, consumer.id]);
+    return waypoints;
+  });
+
+  const leftOf = new Map();
+  const rightOf = new Map();
+  for (const [left, right] of segments) {
+    if (!rightOf.has(left)) rightOf.set(left, []);
+    if (!leftOf.has(right)) leftOf.set(right, []);
+    rightOf.get(left).push(right);
+    leftOf.get(right).push(left);
+  }
+
+  const position = new Map();
+  const segmentsByDepth = columns.map(() => []);
+  for (const segment of segments) segmentsByDepth[slotById.get(segment[0]).depth].push(segment);
+  const totalCrossings = () => segmentsByDepth.reduce((sum, between) =>
+    sum + countCrossings(between.map(([left, right]) => [position.get(left), position.get(right)])), 0);
+
+  // Barycenter sweeps, alternating left-to-right and right-to-left; the best ordering seen wins
+  columns.forEach(col => col.forEach((slot, i) => position.set(slot.id, i)));
+  let best = columns.map(col => col.slice());
+  let bestCrossings = totalCrossings();
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+    const forward = sweep % 2 === 0;
+    const neighbours = forward ? leftOf : rightOf;
+    const depths = [...columns.keys()];
+    if (!forward) depths.reverse();
+    for (const depth of depths) {
+      const keyed = columns[depth].map((slot, i) => {
+        const adjacent = neighbours.get(slot.id) || [];
+        const key = adjacent.length ? adjacent.reduce((sum, id) => sum + position.get(id), 0) / adjacent.length : i;
+        return { slot, key, i };
+      });
+      keyed.sort((a, b) => a.key - b.key || a.i - b.i);
+      columns[depth] = keyed.map(k => k.slot);
+      columns[depth].forEach((slot, i) => position.set(slot.id, i));
+    }
+    const crossings = totalCrossings();
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = columns.map(col => col.slice());
+    }
+  }
+
+  return { columns: best, routes, crossings: bestCrossings };
+}
+
+/* ===============================
+   Logistics
+   - computeFlows: one flow per producer -> consumer link and item, in items/min
+   - railsFor: rail tier and count for one flow under a rail policy
+   =============================== */
+function importNodeId(item) {
+  return `${item} (import)`;
+}
+
+// Each consumer's input is split between the supplied share (from the import node) and the
+// producing row; rows fed by byproducts get a flow from each source row, and every target
+// gets an "output" flow with no consumer (to: null).
+// imports ({ item: { used, available } }) as returned by expandChain
+function computeFlows(chain, imports, targets) {
+  const flows = [];
+  const add = (from, to, item, rate, kind) => {
+    if (rate > 1e-9) flows.push({ from, to, item, rate, kind });
+  };
+
+  for (const [consumer, data] of Object.entries(chain || {})) {
+    for (const [item, rate] of Object.entries(data.inputs || {})) {
+      const row = chain[item];
+      const importShare = row
+        ? (row.rate > 0 ? (row.imported || 0) / row.rate : 0)
+        : ((imports || {})[item]?.used > 0 ? 1 : 0);
+      add(importNodeId(item), consumer, item, rate * importShare, "import");
+      if (row) add(item, consumer, item, rate * (1 - importShare), row.raw ? "raw" : "produced");
+    }
+    for (const [source, rate] of Object.entries(data.byproductSources || {})) {
+      if (chain[source]) add(source, consumer, consumer, rate, "byproduct");
+    }
+  }
+  for (const t of targets || []) add(chain[t.item] ? t.item : importNodeId(t.item), null, t.item, Number(t.rate) || 0, "output");
+  return flows;
+}
+
+// options.railSpeed: the fixed tier, or the fastest tier available to the "cheapest" policy
+// options.railPolicy: 'fixed' (every link on railSpeed) or 'cheapest' (slowest tier that fits on one rail)
+// Returns { tier, speed, rails }, or null without a rail speed
+function railsFor(rate, options = {}) {
+  const maxSpeed = Number(options.railSpeed);
+  if (!(maxSpeed > 0) || !(rate > 0)) return null;
+  let speed = maxSpeed;
+  if (options.railPolicy === 'cheapest') {
+    const fits = RAIL_TIERS.find(t => t.speed <= maxSpeed && rate <= t.speed + 1e-9);
+    if (fits) speed = fits.speed;
+  }
+  const tier = RAIL_TIERS.find(t => t.speed === speed)?.tier || `${speed}/min`;
+  return { tier, speed, rails: Math.ceil(rate / speed - 1e-9) };
+}
+
+// Build graph nodes and logical links from the expanded chain
+// imports ({ item: { used, available } }) adds a separate import node per supplied item
+// Links run consumer -> input and carry the flow's item and rate
+function buildGraphData(chain, rootItem, imports) {
+  const nodes = [];
+  const links = [];
+  const nodeMap = new Map();
+
+  // Create node objects for every item in the chain
+  for (const [item, data] of Object.entries(chain || {})) {
+    const node = {
+      id: item,
+      label: (data.recipe && !data.defaultRecipe) ? `${item} (${data.recipe})` : item,
+      recipe: data.recipe || null,
+      raw: !!data.raw,
+      building: data.building || null,
+      machines: data.machines || 0,
+      rate: data.rate || 0,
+      power: data.power || 0,
+      inputs: Object.assign({}, data.inputs || {})
+    };
+    nodes.push(node);
+    nodeMap.set(item, node);
+  }
+
+  // Create logical links: consumer -> input (import links are added with their nodes below)
+  const flows = computeFlows(chain, imports);
+  for (const flow of flows) {
+    if (flow.kind === "import" || !nodeMap.has(flow.from) || !nodeMap.has(flow.to)) continue;
+    const link = { from: flow.to, to: flow.from, item: flow.item, rate: flow.rate };
+    // Demand covered by byproducts is fed by the row that makes them
+    if (flow.kind === "byproduct") link.byproduct = true;
+    links.push(link);
+  }
+
+  // Columns come from the chain itself (see computeChainDepths)
+  const depths = computeChainDepths(chain);
+
+  // Attach depth to nodes (default to 0)
+  for (const n of nodes) {
+    n.depth = Number.isFinite(Number(depths[n.id])) ? Number(depths[n.id]) : 0;
+  }
+
+  // Supplied items: one import node each, placed left of its earliest consumer
+  for (const [item, imp] of Object.entries(imports || {})) {
+    if (!(imp.used > 0)) continue;
+    const id = importNodeId(item);
+    const node = {
+      id, label: id, item, imported: true, raw: false, building: "IMPORT",
+      machines: 0, power: 0, rate: imp.used, inputs: {}, hasInputAnchor: false
+    };
+    let minConsumerDepth = Infinity;
+    for (const flow of flows) {
+      if (flow.kind !== "import" || flow.from !== id || !nodeMap.has(flow.to)) continue;
+      links.push({ from: flow.to, to: id, item, rate: flow.rate, import: true });
+      minConsumerDepth = Math.min(minConsumerDepth, nodeMap.get(flow.to)?.depth ?? 0);
+    }
+    node.depth = Number.isFinite(minConsumerDepth) ? Math.max(0, minConsumerDepth - 1) : 0;
+    nodes.push(node);
+    nodeMap.set(id, node);
+  }
+
+  return { nodes, links };
+}
+
+// Folds the supply subtree of each collapsed node into that node.
+// A node is folded away only when everything it feeds is inside the fold, so inputs shared with
+// the rest of the plan stay visible and their links are redirected to the collapsed node.
+// Returns { nodes, links, folds: { root: { hidden: [ids], machines, rawInputs: { item: rate } } } }
+function foldSubtrees(nodes, links, collapsed) {
+  const ids = new Set(nodes.map(n => n.id));
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const inputsOf = new Map();
+  const consumersOf = new Map();
+  const push = (map, key, value) => { if (!map.has(key)) map.set(key, []); map.get(key).push(value); };
+  for (const l of links) {
+    push(inputsOf, l.from, l.to);
+    push(consumersOf, l.to, l.from);
+  }
+
+  const groups = new Map();
+  for (const root of collapsed || []) {
+    if (!ids.has(root) || groups.has(root)) continue;
+    const group = new Set();
+    const queue = [root];
+    while (queue.length) {
+      for (const input of inputsOf.get(queue.shift()) || []) {
+        if (input !== root && !group.has(input)) { group.add(input); queue.push(input); }
+      }
+    }
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const id of group) {
+        if ((consumersOf.get(id) || []).some(c => c !== root && !group.has(c))) { group.delete(id); changed = true; }
+      }
+    }
+    if (group.size) groups.set(root, group);
+  }
+
+  // A collapsed node inside another fold is hidden with it
+  const folds = {};
+  const hiddenBy = new Map();
+  for (const [root, group] of groups) {
+    if ([...groups].some(([other, g]) => other !== root && g.has(root))) continue;
+    const rawInputs = {};
+    let machines = 0;
+    for (const id of group) {
+      hiddenBy.set(id, root);
+      const node = byId.get(id);
+      if (!node.raw && node.machines > 0) machines += ceilCount(node.machines);
+    }
+    for (const l of links) {
+      const producer = byId.get(l.to);
+      if (producer && producer.raw && (l.from === root || group.has(l.from))) rawInputs[l.to] = (rawInputs[l.to] || 0) + (l.rate || 0);
+    }
+    folds[root] = { hidden: [...group], machines, rawInputs };
+  }
+
+  const merged = new Map();
+  for (const l of links) {
+    if (hiddenBy.has(l.to)) continue;
+    const from = hiddenBy.get(l.from) || l.from;
+    const key = `${from}\u0000${l.to}\u0000${l.item}`;
+    if (merged.has(key)) merged.get(key).rate += l.rate || 0;
+    else merged.set(key, Object.assign({}, l, { from }));
+  }
+
+  return {
+    nodes: nodes.filter(n => !hiddenBy.has(n.id)).map(n => folds[n.id] ? Object.assign({}, n, { folded: folds[n.id] }) : n),
+    links: [...merged.values()],
+    folds
+  };
+}
+
+/* ===============================
+   Dataset validation
+   - validateRecipes: schema, names, raw declarations, loops, colors and _tiers checks
+   - Returns [{ severity: "error" | "warning", item, message }], errors first
+   =============================== */
+function isPositiveNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v > 0;
+}
+
+// Edit distance, used to suggest the intended name for a typo
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      prev = next;
+    }
+  }
+  return row[b.length];
+}
+
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 4)) + 1;
+  for (const candidate of candidates) {
+    const d = editDistance(name, candidate);
+    if (d < bestDistance) { best = candidate; bestDistance = d; }
+  }
+  return best;
+}
+
+function validateRecipes(data = RECIPES) {
+  const issues = [];
+  const error = (item, message) => issues.push({ severity: "error", item, message });
+  const warning = (item, message) => issues.push({ severity: "warning", item, message });
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    error(null, "Recipe data must be a JSON object keyed by item name");
+    return issues;
+  }
+
+  const items = Object.keys(data).filter(k => !k.startsWith('_'));
+  const itemSet = new Set(items);
+  const declaredRaw = Array.isArray(data._raw) ? data._raw : null;
+  const rawSet = new Set(declaredRaw || []);
+  const powerBuildings = (data._power && typeof data._power.buildings === 'object') ? data._power.buildings : {};
+  const knownBuildings = new Set([...Object.keys(MACHINE_COLORS), ...Object.keys(powerBuildings)]);
+  const usedRaw = new Set();
+  const usedBuildings = new Set();
+
+  if (data._raw !== undefined && !declaredRaw) error("_raw", "must be a list of raw resource names");
+  if (!declaredRaw) warning("_raw", "No raw resources declared; every unknown input is treated as raw");
+
+  // Names an input, byproduct or output may refer to
+  const checkName = (item, name, role) => {
+    if (itemSet.has(name)) return;
+    if (rawSet.has(name)) { usedRaw.add(name); return; }
+    if (!declaredRaw) return;
+    const suggestion = closestName(name, [...items, ...rawSet]);
+    error(item, `${role} "${name}" has no recipe and is not a declared raw resource` + (suggestion ? ` (did you mean "${suggestion}"?)` : ""));
+  };
+
+  for (const item of items) {
+    const entry = data[item];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      error(item, "Entry must be an object");
+      continue;
+    }
+    if (rawSet.has(item)) warning(item, "Declared raw in _raw but also has a recipe");
+
+    const alternates = entry.recipes !== undefined;
+    if (alternates && (!Array.isArray(entry.recipes) || !entry.recipes.length)) {
+      error(item, `"recipes" must be a non-empty list`);
+      continue;
+    }
+    const recipes = alternates ? entry.recipes : [entry];
+    const names = new Set();
+    let defaults = 0;
+
+    recipes.forEach((recipe, i) => {
+      const label = alternates ? `recipe "${recipe?.name ?? i + 1}"` : "recipe";
+      if (!recipe || typeof recipe !== 'object') {
+        error(item, `${label} must be an object`);
+        return;
+      }
+      if (alternates) {
+        if (typeof recipe.name !== 'string' || !recipe.name) error(item, `Alternate ${i + 1} needs a "name"`);
+        else if (names.has(recipe.name)) error(item, `Duplicate recipe name "${recipe.name}"`);
+        names.add(recipe.name);
+        if (recipe.default) defaults++;
+      }
+
+      if (!recipe.inputs || typeof recipe.inputs !== 'object' || Array.isArray(recipe.inputs)) {
+        error(item, `${label} has no "inputs" object, so it is treated as a raw resource`);
+      } else {
+        for (const [input, qty] of Object.entries(recipe.inputs)) {
+          if (!isPositiveNumber(qty)) error(item, `${label} input "${input}" needs a positive numeric amount`);
+          checkName(item, input, "Input");
+        }
+      }
+
+      if (recipe.outputs !== undefined) {
+        if (!recipe.outputs || typeof recipe.outputs !== 'object') {
+          error(item, `${label} "outputs" must map products to amounts`);
+        } else {
+          for (const [product, qty] of Object.entries(recipe.outputs)) {
+            if (!isPositiveNumber(qty)) error(item, `${label} output "${product}" needs a positive numeric amount`);
+            if (product !== item) checkName(item, product, "Byproduct");
+          }
+          if (recipe.output === undefined && !(item in recipe.outputs)) error(item, `${label} "outputs" does not include ${item}`);
+        }
+      }
+      if (recipe.output !== undefined || recipe.outputs === undefined) {
+        if (!isPositiveNumber(recipe.output)) error(item, `${label} "output" must be a positive number`);
+      }
+      if (!isPositiveNumber(recipe.time)) error(item, `${label} "time" must be a positive number`);
+
+      if (typeof recipe.building !== 'string' || !recipe.building) {
+        error(item, `${label} has no "building"`);
+      } else {
+        usedBuildings.add(recipe.building);
+        if (!knownBuildings.has(recipe.building)) {
+          const suggestion = closestName(recipe.building, knownBuildings);
+          error(item, `${label} uses unknown building "${recipe.building}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ""));
+        }
+      }
+    });
+    if (defaults > 1) warning(item, "More than one recipe is marked default; the first is used");
+  }
+
+  for (const raw of rawSet) {
+    if (!usedRaw.has(raw) && !itemSet.has(raw)) warning(raw, "Declared raw in _raw but no recipe uses it");
+  }
+  for (const building of usedBuildings) {
+    if (knownBuildings.has(building) && !MACHINE_COLORS[building]) warning(building, "Building has no color in MACHINE_COLORS; it is drawn in the fallback grey");
+  }
+
+  // Loops and tiers need the dataset installed; swap it in for the check
+  const previous = { RECIPES, TIERS, RECIPE_CYCLES };
+  try {
+    RECIPES = data;
+    for (const loop of findRecipeCycles()) warning(loop[0], `Recipe loop: ${loop.join(" → ")} (solved as a linear system)`);
+
+    const declaredTiers = data._tiers;
+    if (declaredTiers && typeof declaredTiers === 'object') {
+      const computed = computeTiers();
+      // _tiers may number levels from a different base; compare against the most common offset
+      const offsets = {};
+      for (const item of items) {
+        if (typeof declaredTiers[item] === 'number') {
+          const d = computed[item] - declaredTiers[item];
+          offsets[d] = (offsets[d] || 0) + 1;
+        }
+      }
+      const offset = Number(Object.entries(offsets).sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0);
+      for (const item of items) {
+        if (!(item in declaredTiers)) warning(item, `Missing from _tiers (computed tier ${computed[item] - offset})`);
+        else if (computed[item] - offset !== declaredTiers[item]) warning(item, `_tiers says ${declaredTiers[item]} but computed tier is ${computed[item] - offset}`);
+      }
+      for (const name of Object.keys(declaredTiers)) {
+        if (!itemSet.has(name)) warning(name, "Listed in _tiers but has no recipe");
+      }
+    }
+  } finally {
+    ({ RECIPES, TIERS, RECIPE_CYCLES } = previous);
+  }
+
+  return issues.filter(i => i.severity === "error").concat(issues.filter(i => i.severity === "warning"));
+}
+
+// One line per issue, e.g. "error    Accumulator: Input "Stator " has no recipe ..."
+function formatValidationIssues(issues) {
+  if (!issues.length) return "Recipe data OK\n";
+  const errors = issues.filter(i => i.severity === "error").length;
+  const lines = issues.map(i => `${i.severity.padEnd(8)} ${i.item ? `${i.item}: ` : ""}${i.message}`);
+  lines.push("", `${errors} error${errors === 1 ? "" : "s"}, ${issues.length - errors} warning${issues.length - errors === 1 ? "" : "s"}`);
+  return lines.join("\n") + "\n";
+}
+
+/* ===============================
+   Plan report
+   - buildPlanReport: the data the page's tables show, as plain values
+   - formatPlanReport: the same report as json, csv, markdown or a plain-text table
+   =============================== */
+const REPORT_FORMATS = ['table', 'json', 'csv', 'markdown'];
+
+// JSON exports carry these so they can be recognised (and migrated) when imported again
+const PLAN_DOCUMENT_FORMAT = "sr-crafting-calculator/plan";
+const PLAN_DOCUMENT_VERSION = 1;
+
+// Fixed-precision number without trailing zeros ("—" for non-finite values)
+function formatFixed(n, decimals = 2) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return "—";
+  return String(Number(v.toFixed(decimals)));
+}
+
+// Share of the last built machine that is actually used (0..1)
+function utilizationOfLast(machines) {
+  const built = ceilCount(machines);
+  if (built <= 0) return 0;
+  return Math.min(1, Math.max(0, machines - (built - 1)));
+}
+
+// Plain heading text, e.g. "30 / min of Superconductor + 10 / min of Heat Shield"
+function describePlanTargets(targets) {
+  return (targets || []).map(t => `${t.rate} / min of ${t.item}`).join(" + ");
+}
+
+// options.railSpeed / options.railPolicy: rail tiers for the logistics (see railsFor)
+function buildPlanReport(chainObj, options = {}) {
+  const targets = chainObj.targets || [];
+  if (chainObj.error) return { targets, error: chainObj.error };
+
+  const { chain = {}, machineTotals = {}, machineExactTotals = {}, extractorTotals = {} } = chainObj;
+  const power = chainObj.power || computePowerTotals(chain, extractorTotals);
+  const byName = (a, b) => a[0].localeCompare(b[0], undefined, { sensitivity: 'base' });
+
+  // Group non-raw items by depth; levels are numbered from the lowest depth and listed highest first
+  const depths = computeChainDepths(chain);
+  const levelGroups = {};
+  for (const [item, data] of Object.entries(chain)) {
+    if (!data || data.raw) continue;
+    const depth = Number.isFinite(Number(depths[item])) ? Number(depths[item]) : 0;
+    (levelGroups[depth] || (levelGroups[depth] = [])).push([item, data]);
+  }
+  // Every link gets its own rails; a row's rail counts are the sums over its incoming and outgoing links
+  const railPolicy = RAIL_POLICIES.includes(options.railPolicy) ? options.railPolicy : 'fixed';
+  const logistics = computeFlows(chain, chainObj.imports, targets).map(flow => {
+    const rails = railsFor(flow.rate, { railSpeed: options.railSpeed, railPolicy });
+    return Object.assign(flow, { tier: rails ? rails.tier : null, rails: rails ? rails.rails : null });
+  });
+  const sumRails = (list) => list.some(f => f.rails === null) ? null : list.reduce((sum, f) => sum + f.rails, 0);
+
+  const depthsAsc = Object.keys(levelGroups).map(Number).sort((a,b) => a - b);
+  const levels = depthsAsc.map((depth, level) => ({
+    level,
+    rows: levelGroups[depth].sort(byName).map(([item, data]) => {
+      const recipe = getRecipe(item, chainObj.recipeChoices);
+      const machines = Number(data.machines);
+      const built = Number.isFinite(machines) ? ceilCount(machines) : null;
+      return {
+        item,
+        recipe: data.recipe || null,
+        defaultRecipe: data.defaultRecipe !== false,
+        rate: data.rate || 0,
+        outputPerMachine: (recipe && recipe.output && recipe.time) ? (recipe.output * 60) / recipe.time : null,
+        machines: Number.isFinite(machines) ? machines : null,
+        built,
+        lastUtilization: built > 0 ? utilizationOfLast(machines) : null,
+        power: data.power || 0,
+        powerUsed: data.powerUsed || 0,
+        building: data.building || null,
+        inputs: Object.fromEntries(Object.entries(data.inputs || {}).sort(byName)),
+        railsIn: sumRails(logistics.filter(f => f.to === item)),
+        railsOut: sumRails(logistics.filter(f => f.from === item)),
+        byproducts: Object.assign({}, data.byproducts || {}),
+        fromByproducts: data.fromByproducts || 0,
+        imported: data.imported || 0
+      };
+    })
+  })).reverse();
+
+  const machines = Object.entries(machineTotals).sort((a, b) => b[1] - a[1]).map(([type, count]) => {
+    const required = machineExactTotals[type] ?? count;
+    const typePower = power.byBuilding[type] || { built: 0, used: 0 };
+    return { type, required, built: Math.ceil(count), utilization: count > 0 ? required / count : null, powerBuilt: typePower.built, powerUsed: typePower.used };
+  });
+
+  const extraction = Object.entries(extractorTotals).filter(([_, qty]) => qty > 0).sort((a, b) => b[1] - a[1]).map(([resource, qty]) => {
+    const rounded = Math.ceil(qty);
+    const special = SPECIAL_EXTRACTORS[resource];
+    return {
+      resource,
+      impure: special ? null : Math.ceil(rounded / EXTRACTOR_PURITY_RATES.impure),
+      normal: Math.ceil(rounded / (special || EXTRACTOR_PURITY_RATES.normal)),
+      pure: special ? null : Math.ceil(rounded / EXTRACTOR_PURITY_RATES.pure),
+      qty: rounded,
+      power: power.byExtractor[resource] || 0
+    };
+  });
+
+  const imports = Object.entries(chainObj.imports || {}).sort(byName)
+    .map(([item, imp]) => ({ item, used: imp.used, available: imp.available, unused: Math.max(0, imp.available - imp.used) }));
+  const surplus = Object.entries(chainObj.surplus || {}).sort(byName)
+    .map(([item, sp]) => ({ item, byproduct: sp.byproduct, rounding: sp.rounding, sources: sp.sources.slice() }));
+
+  return {
+    targets,
+    railSpeed: options.railSpeed || null,
+    railPolicy,
+    powerUnit: power.unit,
+    powerPlaceholder: isPowerPlaceholder(),
+    cycles: chainObj.cycles || [],
+    recipeChoices: Object.assign({}, chainObj.recipeChoices || {}),
+    levels,
+    machines,
+    power: { built: power.built, used: power.used, idle: power.idle, extractors: power.extractors, total: power.total },
+    extraction,
+    logistics,
+    imports,
+    surplus
+  };
+}
+
+// The report as titled tables of display strings, shared by the text formats
+function reportSections(report, decimals) {
+  const num = (n) => formatFixed(n, decimals);
+  const opt = (n) => (n === null || n === undefined) ? "—" : num(n);
+  const pct = (n) => (n === null || n === undefined) ? "—" : `${formatFixed(n * 100, 0)}%`;
+  const unit = report.powerUnit;
+  const rails = (n) => (n === null || n === undefined) ? "—" : String(n);
+  const chainRows = [];
+  for (const { level, rows } of report.levels) {
+    for (const r of rows) {
+      const item = (r.recipe && !r.defaultRecipe) ? `${r.item} (${r.recipe})` : r.item;
+      const inputs = Object.entries(r.inputs).map(([name, amt]) => `${name}: ${num(amt)}/min`).join("; ") || "—";
+      chainRows.push([String(level), item, num(r.rate), opt(r.outputPerMachine), opt(r.machines), r.built === null ? "—" : String(r.built),
+        pct(r.lastUtilization), r.power > 0 ? `${num(r.power)} ${unit}` : "—", r.building || "—", inputs, rails(r.railsIn), rails(r.railsOut)]);
+    }
+  }
+
+  const sections = [
+    { title: "PRODUCTION CHAIN", columns: ["Level", "Item", "Qty/min", "Output/machine", "Machines", "Built", "Last machine", "Power", "Machine Type", "Inputs (per min)", "Rails In", "Rails Out"], rows: chainRows },
+    { title: "MACHINES REQUIRED (total)", columns: ["Machine Type", "Required", "Built", "Utilization", "Power (built)", "Power (in use)"],
+      rows: report.machines.map(m => [m.type, num(m.required), String(m.built), pct(m.utilization), `${num(m.powerBuilt)} ${unit}`, `${num(m.powerUsed)} ${unit}`]) },
+    { title: "POWER REQUIRED", columns: ["Source", "Power"], rows: [
+      ["Machines (built)", `${num(report.power.built)} ${unit}`],
+      ["Machines (in use)", `${num(report.power.used)} ${unit}`],
+      ["Idle capacity of partial machines", `${num(report.power.idle)} ${unit}`],
+      ["Extractors (normal nodes)", `${num(report.power.extractors)} ${unit}`],
+      ["Total (built + extractors)", `${num(report.power.total)} ${unit}`]
+    ] },
+    { title: "EXTRACTION REQUIRED", columns: ["Resource", "Impure", "Normal", "Pure", "Qty/min", "Power (normal)"],
+      rows: report.extraction.map(e => [e.resource, opt(e.impure), String(e.normal), opt(e.pure), String(e.qty), `${num(e.power)} ${unit}`]) },
+    { title: "LOGISTICS", columns: ["From", "To", "Item", "Rate/min", "Rail", "Rails"],
+      rows: (report.logistics || []).map(f => [f.from, f.to === null ? "(plan output)" : f.to, f.item, num(f.rate), f.tier || "—", rails(f.rails)]) }
+  ];
+  if (report.imports.length) {
+    sections.push({ title: "IMPORTS", columns: ["Item", "Used/min", "Available/min", "Unused/min"],
+      rows: report.imports.map(i => [i.item, num(i.used), num(i.available), num(i.unused)]) });
+  }
+  if (report.surplus.length) {
+    sections.push({ title: "SURPLUS", columns: ["Item", "Unused byproduct/min", "Spare capacity/min", "Byproduct of"],
+      rows: report.surplus.map(sp => [sp.item, sp.byproduct > 0 ? num(sp.byproduct) : "—", sp.rounding > 0 ? num(sp.rounding) : "—", sp.sources.join(", ") || "—"]) });
+  }
+  return sections;
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+// options.decimals: digits after the decimal point in the text formats (default 2)
+function formatPlanReport(report, format = 'table', options = {}) {
+  if (!REPORT_FORMATS.includes(format)) throw new Error(`Unknown format "${format}" (expected ${REPORT_FORMATS.join(", ")})`);
+  if (format === 'json') {
+    return JSON.stringify(Object.assign({ format: PLAN_DOCUMENT_FORMAT, version: PLAN_DOCUMENT_VERSION }, report), null, 2) + "\n";
+  }
+
+  const title = `Production chain for ${describePlanTargets(report.targets)}`;
+  if (report.error) return `${title}\n${report.error}\n`;
+  const notes = report.cycles.length ? [`Recipe loop solved as a linear system: ${report.cycles.map(c => c.join(" → ")).join("; ")}`] : [];
+  if (report.powerPlaceholder) notes.push(POWER_PLACEHOLDER_NOTE);
+  const sections = reportSections(report, options.decimals ?? 2);
+
+  if (format === 'csv') {
+    // Notes go in labeled "Note" rows so spreadsheets keep them apart from the tables
+    const lines = [csvCell(title), ...notes.map(n => ["Note", n].map(csvCell).join(","))];
+    for (const section of sections) {
+      lines.push("", csvCell(section.title), section.columns.map(csvCell).join(","));
+      for (const row of section.rows) lines.push(row.map(csvCell).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  if (format === 'markdown') {
+    const lines = [`## ${title}`, ...notes.map(n => `\n_${n}_`)];
+    for (const section of sections) {
+      lines.push("", `### ${section.title}`, "", `| ${section.columns.map(markdownCell).join(" | ")} |`, `|${section.columns.map(() => " --- |").join("")}`);
+      for (const row of section.rows) lines.push(`| ${row.map(markdownCell).join(" | ")} |`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // Plain-text table: padded columns, chain rows grouped under level separators like the page
+  const lines = [title, ...notes];
+  for (const section of sections) {
+    const isChain = section.title === "PRODUCTION CHAIN";
+    const columns = isChain ? section.columns.slice(1) : section.columns;
+    const rows = isChain ? section.rows.map(r => r.slice(1)) : section.rows;
+    const widths = columns.map((c, i) => Math.max(c.length, ...rows.map(r => r[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+    lines.push("", section.title, line(columns), widths.map(w => "-".repeat(w)).join("  "));
+    rows.forEach((row, i) => {
+      if (isChain && (i === 0 || section.rows[i - 1][0] !== section.rows[i][0])) lines.push(`--- Level ${section.rows[i][0]} ---`);
+      lines.push(line(row));
+    });
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Plan inputs ({ targets, railSpeed, railPolicy, recipeChoices, supplies }) from a JSON export; throws on anything else
+function readPlanDocument(doc) {
+  if (typeof doc === 'string') doc = JSON.parse(doc);
+  if (!doc || doc.format !== PLAN_DOCUMENT_FORMAT) throw new Error("Not a plan export");
+  if (!(doc.version <= PLAN_DOCUMENT_VERSION)) throw new Error(`Plan export version ${doc.version} is newer than this calculator supports`);
+
+  const targets = (Array.isArray(doc.targets) ? doc.targets : [])
+    .filter(t => t && typeof t.item === 'string' && Number(t.rate) > 0)
+    .map(t => ({ item: t.item, rate: Number(t.rate) }));
+  if (!targets.length) throw new Error("Plan export has no targets");
+
+  const supplies = {};
+  for (const imp of Array.isArray(doc.imports) ? doc.imports : []) {
+    if (imp && typeof imp.item === 'string' && Number(imp.available) > 0) supplies[imp.item] = Number(imp.available);
+  }
+  const recipeChoices = {};
+  for (const [item, name] of Object.entries(doc.recipeChoices || {})) {
+    if (typeof name === 'string') recipeChoices[item] = name;
+  }
+  const railPolicy = RAIL_POLICIES.includes(doc.railPolicy) ? doc.railPolicy : 'fixed';
+  return { targets, railSpeed: Number(doc.railSpeed) || null, railPolicy, recipeChoices, supplies };
+}
+
+/* ===============================
+   Node exports (the page uses the globals above)
+   =============================== */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    get RECIPES() { return RECIPES; },
+    get TIERS() { return TIERS; },
+    get RECIPE_CYCLES() { return RECIPE_CYCLES; },
+    SPECIAL_EXTRACTORS, EXTRACTOR_PURITY_RATES, DEFAULT_RECIPE_NAME, OPTIMIZER_OBJECTIVES,
+    setRecipes, loadRecipesFromFile, ceilCount,
+    getRecipeOptions, getDefaultRecipeName, getRecipe, findConsumers, computeTiers, findRecipeCycles,
+    POWER_PLACEHOLDER_NOTE, getPowerUnit, isPowerPlaceholder, getBuildingPower, getExtractorPower, getNormalExtractorCount,
+    normalizeTargets, expandChain, solveLinearSystem, getRawResources, getExtractorCapacity,
+    computeMaxFromExtractors, computeRateFromMachines, scorePlan, optimizeRecipes,
+    RAIL_TIERS, RAIL_POLICIES, DEFAULT_RAIL_SPEED, importNodeId, computeFlows, railsFor,
+    computeChainDepths, countCrossings, orderLayers, buildGraphData, foldSubtrees,
+    REPORT_FORMATS, formatFixed, utilizationOfLast, describePlanTargets, buildPlanReport, formatPlanReport,
+    PLAN_DOCUMENT_FORMAT, PLAN_DOCUMENT_VERSION, readPlanDocument,
+    MACHINE_COLORS, validateRecipes, formatValidationIssues
+  };
+}
@@ -0,0 +1,43 @@
+// Multi-output recipes: byproducts are used before machines are built (calc.js expandChain)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+// P is made from Ore with Q as a byproduct; Q also has its own recipe from Bar.
+// Q sits at a higher tier than P, so a tier-ordered pass would settle Q first.
+const RECIPES = {
+  "Bar": { inputs: { "Ore": 1 }, output: 1, time: 1, building: "Smelter" },
+  "Q": { inputs: { "Bar": 2 }, output: 1, time: 1, building: "Constructor" },
+  "P": { inputs: { "Ore": 1 }, outputs: { "P": 1, "Q": 1 }, time: 1, building: "Refinery" },
+  "T": { inputs: { "Q": 1, "P": 1 }, output: 1, time: 1, building: "Assembler" }
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+test('byproducts cover a higher-tier item before machines are built for it', () => {
+  const { chain, surplus, extractorTotals } = calc.expandChain("T", 60);
+  assert.equal(chain["P"].produced, 60);
+  assert.equal(chain["Q"].fromByproducts, 60);
+  assert.equal(chain["Q"].produced, 0);
+  assert.equal(chain["Q"].machines, 0);
+  assert.deepEqual(chain["Q"].byproductSources, { "P": 60 });
+  assert.equal(chain["Bar"], undefined);
+  assert.equal(extractorTotals["Ore"], 60);
+  assert.equal(surplus["Q"], undefined);
+});
+
+test('only the shortfall beyond the byproducts gets machines', () => {
+  const { chain } = calc.expandChain([{ item: "T", rate: 60 }, { item: "Q", rate: 30 }]);
+  assert.equal(chain["Q"].rate, 90);
+  assert.equal(chain["Q"].fromByproducts, 60);
+  assert.equal(chain["Q"].produced, 30);
+  assert.equal(chain["Bar"].rate, 60);
+});
+
+test('byproducts nobody uses are reported as surplus', () => {
+  const { surplus } = calc.expandChain("P", 20);
+  assert.ok(Math.abs(surplus["Q"].byproduct - 20) < 1e-9);
+  assert.deepEqual(surplus["Q"].sources, ["P"]);
+});
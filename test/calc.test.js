@@ -0,0 +1,66 @@
+// Regression checks for the chain math in calc.js (run with `npm test`)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const RECIPES = {
+  "Rod": { inputs: { "Ingot": 1 }, output: 1, time: 2, building: "Constructor" },
+  "Plate": { inputs: { "Ingot": 3 }, output: 2, time: 6, building: "Constructor" },
+  "Frame": { inputs: { "Rod": 4, "Plate": 2 }, output: 1, time: 10, building: "Assembler" },
+  "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 2, building: "Smelter" },
+  "_raw": ["Ore"]
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+test('normalizeTargets accepts a single item and rate', () => {
+  assert.deepEqual(calc.normalizeTargets("Rod", 30), [{ item: "Rod", rate: 30 }]);
+});
+
+test('normalizeTargets merges repeated items and drops invalid entries', () => {
+  const targets = calc.normalizeTargets([
+    { item: "Rod", rate: 10 },
+    { item: "Plate", rate: "5" },
+    { item: "Rod", rate: 20 },
+    { item: "Frame", rate: 0 },
+    { item: "Frame", rate: "abc" },
+    { item: "_raw", rate: 10 },
+    { item: "", rate: 10 },
+    null
+  ]);
+  assert.deepEqual(targets, [{ item: "Rod", rate: 30 }, { item: "Plate", rate: 5 }]);
+});
+
+test('expandChain scales every input down to raw resources', () => {
+  const { chain } = calc.expandChain("Frame", 6);
+  assert.equal(chain["Frame"].rate, 6);
+  assert.equal(chain["Frame"].machines, 1);
+  assert.equal(chain["Rod"].rate, 24);
+  assert.equal(chain["Plate"].rate, 12);
+  assert.equal(chain["Ingot"].rate, 24 + 18);
+  assert.equal(chain["Ore"].rate, 42);
+  assert.equal(chain["Ore"].raw, true);
+});
+
+test('expandChain keeps fractional machines and counts whole ones separately', () => {
+  const { chain, machineTotals, machineExactTotals } = calc.expandChain("Rod", 45);
+  assert.equal(chain["Rod"].machines, 1.5);
+  assert.equal(chain["Rod"].machinesBuilt, 2);
+  assert.equal(machineExactTotals["Constructor"], 1.5);
+  assert.equal(machineTotals["Constructor"], 2);
+});
+
+test('expandChain sums shared intermediates across targets', () => {
+  const { chain, targets } = calc.expandChain([{ item: "Rod", rate: 30 }, { item: "Plate", rate: 20 }]);
+  assert.deepEqual(targets, [{ item: "Rod", rate: 30 }, { item: "Plate", rate: 20 }]);
+  assert.equal(chain["Ingot"].rate, 30 + 30);
+});
+
+test('expandChain uses supplied inputs before building machines', () => {
+  const { chain } = calc.expandChain("Rod", 30, { supplies: { "Ingot": 10 } });
+  assert.equal(chain["Ingot"].imported, 10);
+  assert.equal(chain["Ingot"].produced, 20);
+  assert.equal(chain["Ore"].rate, 20);
+});
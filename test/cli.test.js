@@ -0,0 +1,30 @@
+// bin/srcc.js argument checks
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SRCC = path.join(__dirname, '..', 'bin', 'srcc.js');
+const srcc = (...args) => spawnSync(process.execPath, [SRCC, ...args], { encoding: 'utf8' });
+
+test('plan accepts supplies of crafted items and raw resources', () => {
+  const result = srcc('plan', 'Calcium Powder', '60', '--supply', 'Calcium Block=10', '--supply', 'Calcium Ore=5', '--format', 'json');
+  assert.equal(result.status, 0, result.stderr);
+  const report = JSON.parse(result.stdout);
+  assert.ok(report.imports.some(i => i.item === 'Calcium Block'));
+});
+
+test('plan rejects a supply of an unknown item', () => {
+  const result = srcc('plan', 'Calcium Powder', '60', '--supply', 'Calcium Blok=10');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown supply item "Calcium Blok"/);
+  assert.equal(result.stdout, '');
+});
+
+test('plan rejects an unknown --recipe item', () => {
+  const result = srcc('plan', 'Calcium Powder', '60', '--recipe', 'Calcium Blok=Default');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Calcium Blok/);
+});
@@ -0,0 +1,58 @@
+// Folding supply subtrees into one graph node (calc.js foldSubtrees)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const node = (id, machines, raw = false) => ({ id, label: id, machines, raw });
+// Links run consumer (from) -> input (to), like buildGraphData's
+const link = (consumer, input, rate) => ({ from: consumer, to: input, item: input, rate });
+
+// Frame <- Plate, Bolt; Plate <- Sheet, Ingot, Ore; Sheet <- Foil, Ore; Foil <- Ore; Bolt <- Ingot; Ingot <- Ore
+const NODES = [
+  node("Frame", 1), node("Plate", 2), node("Bolt", 1), node("Sheet", 1.5), node("Foil", 0.4), node("Ingot", 3), node("Ore", 0, true)
+];
+const LINKS = [
+  link("Frame", "Plate", 10), link("Frame", "Bolt", 20),
+  link("Plate", "Sheet", 30), link("Plate", "Ingot", 15), link("Plate", "Ore", 5),
+  link("Sheet", "Foil", 12), link("Sheet", "Ore", 10),
+  link("Foil", "Ore", 6),
+  link("Bolt", "Ingot", 25),
+  link("Ingot", "Ore", 40)
+];
+
+test('folding hides only what the folded node alone consumes', () => {
+  const { nodes, folds } = calc.foldSubtrees(NODES, LINKS, new Set(["Plate"]));
+  // Ingot also feeds Bolt, and Ore feeds Ingot, so both stay visible
+  assert.deepEqual(folds["Plate"].hidden.slice().sort(), ["Foil", "Sheet"]);
+  assert.deepEqual(nodes.map(n => n.id), ["Frame", "Plate", "Bolt", "Ingot", "Ore"]);
+  assert.equal(nodes.find(n => n.id === "Plate").folded, folds["Plate"]);
+});
+
+test('the folded node totals the whole machines and raw inputs it hides', () => {
+  const { folds } = calc.foldSubtrees(NODES, LINKS, new Set(["Plate"]));
+  // Sheet 1.5 -> 2 and Foil 0.4 -> 1
+  assert.equal(folds["Plate"].machines, 3);
+  assert.deepEqual(folds["Plate"].rawInputs, { "Ore": 5 + 10 + 6 });
+});
+
+test('links from shared inputs to unfolded consumers are kept, hidden ones are merged', () => {
+  const { links } = calc.foldSubtrees(NODES, LINKS, new Set(["Plate"]));
+  const byEnds = Object.fromEntries(links.map(l => [`${l.from}->${l.to}`, l.rate]));
+  assert.deepEqual(byEnds, {
+    "Frame->Plate": 10,
+    "Frame->Bolt": 20,
+    "Plate->Ingot": 15,
+    "Plate->Ore": 5 + 10 + 6,
+    "Bolt->Ingot": 25,
+    "Ingot->Ore": 40
+  });
+});
+
+test('a node with nothing of its own to fold is left as is', () => {
+  const result = calc.foldSubtrees(NODES, LINKS, new Set(["Bolt", "Missing"]));
+  assert.deepEqual(result.folds, {});
+  assert.equal(result.nodes.length, NODES.length);
+  assert.equal(result.links.length, LINKS.length);
+});
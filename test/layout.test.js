@@ -0,0 +1,59 @@
+// Layered graph layout (calc.js computeChainDepths, countCrossings, orderLayers)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const node = (id, depth) => ({ id, label: id, depth });
+// Links run consumer (from) -> input (to), like buildGraphData's
+const link = (consumer, input) => ({ from: consumer, to: input });
+
+test('countCrossings counts pairs of segments whose ends swap order', () => {
+  assert.equal(calc.countCrossings([[0, 1], [1, 0]]), 1);
+  assert.equal(calc.countCrossings([[0, 0], [1, 1], [2, 2]]), 0);
+  assert.equal(calc.countCrossings([[0, 2], [1, 1], [2, 0]]), 3);
+});
+
+test('barycenter ordering removes a crossing the alphabetical order has', () => {
+  // Alphabetically A, B sit over Y, Z, but A feeds Z and B feeds Y
+  const nodes = [node("A", 0), node("B", 0), node("Y", 1), node("Z", 1)];
+  const links = [link("Y", "B"), link("Z", "A")];
+  assert.equal(calc.orderLayers(nodes, links, { sweeps: 0 }).crossings, 1);
+
+  const layout = calc.orderLayers(nodes, links);
+  assert.equal(layout.crossings, 0);
+  const ids = layout.columns.map(col => col.map(slot => slot.id));
+  assert.equal(ids[0].indexOf("A"), ids[1].indexOf("Z"));
+  assert.equal(ids[0].indexOf("B"), ids[1].indexOf("Y"));
+});
+
+test('links spanning several columns get a waypoint in each column they pass', () => {
+  const nodes = [node("Ore", 0), node("Ingot", 1), node("Plate", 2), node("Frame", 3)];
+  const links = [link("Ingot", "Ore"), link("Plate", "Ingot"), link("Frame", "Plate"), link("Frame", "Ore")];
+  const layout = calc.orderLayers(nodes, links);
+
+  assert.deepEqual(layout.routes.slice(0, 3), [[], [], []]);
+  const waypoints = layout.routes[3];
+  assert.equal(waypoints.length, 2);
+  const slots = layout.columns.flat();
+  assert.deepEqual(waypoints.map(id => slots.find(s => s.id === id)).map(s => [s.dummy, s.depth]), [[true, 1], [true, 2]]);
+  assert.equal(layout.columns[1].length, 2);
+  assert.equal(layout.columns[2].length, 2);
+});
+
+test('backward links take no waypoints', () => {
+  const layout = calc.orderLayers([node("A", 0), node("B", 2)], [link("A", "B")]);
+  assert.deepEqual(layout.routes, [[]]);
+  assert.equal(layout.columns[1].length, 0);
+});
+
+test('columns follow the chain: raws first, each item right of its deepest input', () => {
+  calc.setRecipes({
+    "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 1, building: "Smelter" },
+    "Plate": { inputs: { "Ingot": 1 }, output: 1, time: 1, building: "Press" },
+    "Frame": { inputs: { "Plate": 1, "Ore": 1 }, output: 1, time: 1, building: "Assembler" }
+  });
+  const { chain } = calc.expandChain("Frame", 10);
+  assert.deepEqual(calc.computeChainDepths(chain), { "Ore": 0, "Ingot": 1, "Plate": 2, "Frame": 3 });
+});
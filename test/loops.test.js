@@ -0,0 +1,53 @@
+// Recipe loops are solved as a linear system (calc.js expandChainLinear / solveLinearSystem)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+// Two Crop make one Seed's worth of input; each Seed takes one Crop back
+const SEED_LOOP = {
+  "Crop": { inputs: { "Seed": 1, "Water": 1 }, output: 2, time: 1, building: "Farm" },
+  "Seed": { inputs: { "Crop": 1 }, output: 1, time: 1, building: "Mill" }
+};
+
+// Every Seed takes two Crop and every Crop a Seed: the loop can never pay for itself
+const RUNAWAY_LOOP = {
+  "Crop": { inputs: { "Seed": 1 }, output: 1, time: 1, building: "Farm" },
+  "Seed": { inputs: { "Crop": 2 }, output: 1, time: 1, building: "Mill" }
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('solveLinearSystem solves a small system and rejects a singular one', () => {
+  const [x, y] = calc.solveLinearSystem([[2, 1], [1, 3]], [5, 10]);
+  close(x, 1);
+  close(y, 3);
+  assert.equal(calc.solveLinearSystem([[1, 2], [2, 4]], [1, 2]), null);
+});
+
+test('a balanced loop is solved exactly', () => {
+  calc.setRecipes(structuredClone(SEED_LOOP));
+  const { chain, cycles, error, extractorTotals } = calc.expandChain("Crop", 40);
+  assert.equal(error, undefined);
+  assert.deepEqual(cycles.map(c => c.slice().sort()), [["Crop", "Seed"]]);
+  close(chain["Crop"].rate, 80);
+  close(chain["Seed"].rate, 40);
+  close(chain["Seed"].inputs["Crop"], 40);
+  close(extractorTotals["Water"], 40);
+});
+
+test('supply that covers the loop input breaks the cycle', () => {
+  calc.setRecipes(structuredClone(SEED_LOOP));
+  const { chain, imports } = calc.expandChain("Crop", 40, { supplies: { "Seed": 40 } });
+  close(chain["Crop"].rate, 40);
+  assert.equal(chain["Seed"], undefined);
+  assert.deepEqual(imports, { "Seed": { used: 20, available: 40 } });
+});
+
+test('a loop that consumes more than it makes reports an error', () => {
+  calc.setRecipes(structuredClone(RUNAWAY_LOOP));
+  const { chain, error } = calc.expandChain("Crop", 40);
+  assert.match(error, /cannot be balanced/);
+  assert.deepEqual(chain, {});
+});
@@ -0,0 +1,63 @@
+// Alternate recipe choices: the optimizer and tiers recomputed for chosen recipes (calc.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const RECIPES = {
+  "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 1, building: "Smelter" },
+  // "Ore Cast" halves the ore per plate but one caster is four times slower
+  "Plate": {
+    recipes: [
+      { name: "Default", default: true, inputs: { "Ingot": 2 }, output: 1, time: 1, building: "Press" },
+      { name: "Ore Cast", inputs: { "Ore": 1 }, output: 1, time: 4, building: "Caster" }
+    ]
+  },
+  // "From Plate" moves Rod above Plate in the chain
+  "Rod": {
+    recipes: [
+      { name: "Default", default: true, inputs: { "Ingot": 1 }, output: 1, time: 1, building: "Lathe" },
+      { name: "From Plate", inputs: { "Plate": 1 }, output: 2, time: 1, building: "Lathe" }
+    ]
+  },
+  "Frame": { inputs: { "Rod": 1, "Plate": 1 }, output: 1, time: 1, building: "Assembler" }
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+test('the alternate wins when it uses less raw ore', () => {
+  const result = calc.optimizeRecipes([{ item: "Plate", rate: 60 }], { objective: 'raw' });
+  assert.deepEqual(result.recipeChoices, { "Plate": "Ore Cast" });
+  assert.equal(result.score, 60);
+  assert.equal(result.exhaustive, true);
+});
+
+test('the default stays when the alternate needs more machines', () => {
+  const result = calc.optimizeRecipes([{ item: "Plate", rate: 60 }], { objective: 'machines' });
+  assert.deepEqual(result.recipeChoices, {});
+  assert.equal(result.selected["Plate"], "Default");
+  assert.equal(result.score, 3);
+});
+
+test('raw caps rule out combinations that exceed them', () => {
+  const result = calc.optimizeRecipes([{ item: "Plate", rate: 60 }], { objective: 'machines', caps: { "Ore": 100 } });
+  assert.deepEqual(result.recipeChoices, { "Plate": "Ore Cast" });
+  const none = calc.optimizeRecipes([{ item: "Plate", rate: 60 }], { caps: { "Ore": 10 } });
+  assert.match(none.error, /caps/);
+});
+
+test('tiers follow the chosen recipes', () => {
+  const defaults = calc.computeTiers({});
+  assert.equal(defaults["Rod"], defaults["Plate"]);
+  const reordered = calc.computeTiers({ "Rod": "From Plate" });
+  assert.equal(reordered["Rod"], reordered["Plate"] + 1);
+  assert.equal(reordered["Frame"], reordered["Rod"] + 1);
+});
+
+test('a reordering alternate still feeds its demand into the lower item', () => {
+  const { chain } = calc.expandChain("Frame", 10, { recipeChoices: { "Rod": "From Plate" } });
+  assert.equal(chain["Rod"].recipe, "From Plate");
+  assert.equal(chain["Plate"].rate, 10 + 5);
+  assert.equal(chain["Ingot"].rate, 30);
+});
@@ -0,0 +1,44 @@
+// Planning modes that solve for the rate: max from extractors and machine count (calc.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+// Ingot: 30/min per smelter. Widget takes 1 Ingot and 2 Sand per unit.
+const RECIPES = {
+  "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 2, building: "Smelter" },
+  "Widget": { inputs: { "Ingot": 1, "Sand": 2 }, output: 1, time: 1, building: "Assembler" }
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+test('max from extractors stops at the scarcest resource', () => {
+  // Ore: 2 normal extractors = 240/min; Sand: 1 normal = 120/min, and each Widget needs 2 Sand
+  const result = calc.computeMaxFromExtractors([{ item: "Widget", rate: 1 }], { "Ore": { normal: 2 }, "Sand": { normal: 1 } });
+  assert.equal(result.scale, 60);
+  assert.deepEqual(result.limiting, ["Sand"]);
+  assert.deepEqual(result.targets, [{ item: "Widget", rate: 60 }]);
+  assert.deepEqual(result.usage["Ore"], { capacity: 240, used: 60 });
+});
+
+test('max from extractors counts purities and reports a missing resource as limiting', () => {
+  // 1 impure (60) + 1 pure (240) Ore, no Sand at all
+  const result = calc.computeMaxFromExtractors([{ item: "Widget", rate: 1 }], { "Ore": { impure: 1, pure: 1 } });
+  assert.equal(result.scale, 0);
+  assert.ok(result.limiting.includes("Sand"));
+  assert.equal(calc.getExtractorCapacity("Ore", { impure: 1, pure: 1 }), 300);
+});
+
+test('machine count scales the plan so that block runs at full speed', () => {
+  // 3 smelters make 90 Ingot/min, one per Widget
+  const result = calc.computeRateFromMachines([{ item: "Widget", rate: 1 }], "Ingot", 3);
+  assert.equal(result.nodeRate, 90);
+  assert.equal(result.building, "Smelter");
+  assert.deepEqual(result.targets, [{ item: "Widget", rate: 90 }]);
+});
+
+test('machine count rejects items that are not crafted in the chain', () => {
+  const result = calc.computeRateFromMachines([{ item: "Widget", rate: 1 }], "Ore", 3);
+  assert.match(result.error, /not crafted/);
+});
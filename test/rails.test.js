@@ -0,0 +1,68 @@
+// Per-link rail planning (calc.js computeFlows, railsFor)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const RECIPES = {
+  "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 2, building: "Smelter" },
+  "Rod": { inputs: { "Ingot": 1 }, output: 1, time: 2, building: "Lathe" }
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('flows run producer -> consumer per item, with supply and plan output links', () => {
+  const { chain, imports, targets } = calc.expandChain("Rod", 60, { supplies: { "Ingot": 20 } });
+  const flows = calc.computeFlows(chain, imports, targets);
+  assert.deepEqual(flows.map(f => [f.from, f.to, f.item, f.kind]), [
+    ["Ingot (import)", "Rod", "Ingot", "import"],
+    ["Ingot", "Rod", "Ingot", "produced"],
+    ["Ore", "Ingot", "Ore", "raw"],
+    ["Rod", null, "Rod", "output"]
+  ]);
+  close(flows[0].rate, 20);
+  close(flows[1].rate, 40);
+  close(flows[3].rate, 60);
+});
+
+test('the fixed policy puts every link on the selected tier', () => {
+  assert.deepEqual(calc.railsFor(100, { railSpeed: 240, railPolicy: 'fixed' }), { tier: "v2", speed: 240, rails: 1 });
+  assert.deepEqual(calc.railsFor(240, { railSpeed: 240 }), { tier: "v2", speed: 240, rails: 1 });
+  assert.deepEqual(calc.railsFor(500, { railSpeed: 240 }), { tier: "v2", speed: 240, rails: 3 });
+});
+
+test('the cheapest policy picks the slowest tier that carries a link on one rail', () => {
+  const cheapest = (rate) => calc.railsFor(rate, { railSpeed: 480, railPolicy: 'cheapest' });
+  assert.deepEqual(cheapest(100), { tier: "v1", speed: 120, rails: 1 });
+  assert.deepEqual(cheapest(120), { tier: "v1", speed: 120, rails: 1 });
+  assert.deepEqual(cheapest(200), { tier: "v2", speed: 240, rails: 1 });
+  // Never above the selected tier
+  assert.deepEqual(calc.railsFor(200, { railSpeed: 120, railPolicy: 'cheapest' }), { tier: "v1", speed: 120, rails: 2 });
+});
+
+test('links faster than the fastest allowed tier get several rails', () => {
+  assert.deepEqual(calc.railsFor(1000, { railSpeed: 480, railPolicy: 'cheapest' }), { tier: "v3", speed: 480, rails: 3 });
+  assert.deepEqual(calc.railsFor(1000, { railSpeed: 480, railPolicy: 'fixed' }), { tier: "v3", speed: 480, rails: 3 });
+});
+
+test('the default rail speed is one of the rail tiers', () => {
+  assert.ok(calc.RAIL_TIERS.some(t => t.speed === calc.DEFAULT_RAIL_SPEED));
+});
+
+test('no rail speed or no flow means no rails', () => {
+  assert.equal(calc.railsFor(100, {}), null);
+  assert.equal(calc.railsFor(0, { railSpeed: 240 }), null);
+});
+
+test('the plan report lists every link with its rails', () => {
+  const report = calc.buildPlanReport(calc.expandChain("Rod", 300), { railSpeed: 240, railPolicy: 'cheapest' });
+  assert.equal(report.railPolicy, 'cheapest');
+  assert.deepEqual(report.logistics.map(l => [l.from, l.to, l.tier, l.rails]), [
+    ["Ingot", "Rod", "v2", 2],
+    ["Ore", "Ingot", "v2", 2],
+    ["Rod", null, "v2", 2]
+  ]);
+});
@@ -0,0 +1,57 @@
+// Plan exports and JSON re-import (calc.js buildPlanReport, formatPlanReport, readPlanDocument)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+
+const RECIPES = {
+  "Ingot": { inputs: { "Ore": 1 }, output: 1, time: 2, building: "Smelter" },
+  "Rod": { inputs: { "Ingot": 1 }, output: 1, time: 2, building: "Lathe" }
+};
+
+test.beforeEach(() => calc.setRecipes(structuredClone(RECIPES)));
+
+const planReport = () => calc.buildPlanReport(
+  calc.expandChain([{ item: "Rod", rate: 45 }], null, { supplies: { "Ingot": 10 } }),
+  { railSpeed: 240 }
+);
+
+test('a JSON export reads back as the same plan', () => {
+  const plan = calc.readPlanDocument(calc.formatPlanReport(planReport(), 'json'));
+  assert.deepEqual(plan.targets, [{ item: "Rod", rate: 45 }]);
+  assert.equal(plan.railSpeed, 240);
+  assert.deepEqual(plan.supplies, { "Ingot": 10 });
+  assert.deepEqual(plan.recipeChoices, {});
+});
+
+test('re-import rejects documents that are not plan exports', () => {
+  const doc = JSON.parse(calc.formatPlanReport(planReport(), 'json'));
+  assert.throws(() => calc.readPlanDocument(Object.assign({}, doc, { format: "something-else" })), /Not a plan export/);
+  assert.throws(() => calc.readPlanDocument(Object.assign({}, doc, { version: calc.PLAN_DOCUMENT_VERSION + 1 })), /newer/);
+  assert.throws(() => calc.readPlanDocument(Object.assign({}, doc, { targets: [] })), /no targets/);
+});
+
+test('CSV and Markdown exports carry every section', () => {
+  const report = planReport();
+  const csv = calc.formatPlanReport(report, 'csv');
+  assert.equal(csv.split("\n")[0], "Production chain for 45 / min of Rod");
+  assert.match(csv, /^PRODUCTION CHAIN$/m);
+  assert.match(csv, /^MACHINES REQUIRED \(total\)$/m);
+  assert.match(csv, /^IMPORTS$/m);
+  const markdown = calc.formatPlanReport(report, 'markdown');
+  assert.match(markdown, /^## Production chain for 45 \/ min of Rod$/m);
+  assert.match(markdown, /^\| Ingot \| 10 \| 10 \| 0 \|$/m);
+});
+
+test('CSV notes are labeled rows, Markdown notes stay prose', () => {
+  calc.setRecipes(Object.assign(structuredClone(RECIPES), { _power: { placeholder: true, buildings: {} } }));
+  const report = planReport();
+  const csv = calc.formatPlanReport(report, 'csv').split("\n");
+  assert.deepEqual(csv.slice(0, 3), ["Production chain for 45 / min of Rod", `Note,"${calc.POWER_PLACEHOLDER_NOTE}"`, ""]);
+  assert.match(calc.formatPlanReport(report, 'markdown'), new RegExp(`^_${calc.POWER_PLACEHOLDER_NOTE}_$`, "m"));
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => calc.formatPlanReport(planReport(), 'xml'), /Unknown format/);
+});
@@ -0,0 +1,24 @@
+// Recipe data checks (calc.js validateRecipes)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const calc = require('../calc.js');
+
+const readDataset = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'recipes.json'), 'utf8'));
+
+test('the shipped dataset validates without issues', () => {
+  assert.deepEqual(calc.validateRecipes(readDataset()), []);
+});
+
+test('a building without a color and a wrong _tiers entry are reported', () => {
+  const data = readDataset();
+  data["Calcium Block"].building = "Kiln";
+  data._power.buildings["Kiln"] = 5;
+  data._tiers["Glass"] += 1;
+  const messages = calc.validateRecipes(data).map(i => `${i.severity} ${i.item}: ${i.message}`);
+  assert.ok(messages.some(m => m.startsWith("warning Kiln")), messages.join("\n"));
+  assert.ok(messages.some(m => m.startsWith("warning Glass: _tiers says")), messages.join("\n"));
+});